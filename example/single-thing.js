@@ -25,11 +25,11 @@ class FadeAction extends Action {
 
   performAction() {
     return new Promise((resolve) => {
-      setTimeout(() => {
-        this.thing.setProperty('brightness', this.input.brightness);
-        this.thing.addEvent(new OverheatedEvent(this.thing, 102));
-        resolve();
-      }, this.input.duration);
+      setTimeout(resolve, this.input.duration);
+    }).then(() => {
+      return this.thing.setProperty('brightness', this.input.brightness);
+    }).then(() => {
+      this.thing.addEvent(new OverheatedEvent(this.thing, 102));
     });
   }
 }
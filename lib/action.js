@@ -28,6 +28,14 @@ class Action {
     this.status = 'created';
     this.timeRequested = utils.timestamp();
     this.timeCompleted = null;
+    this.output = null;
+    this.error = null;
+    this.cancellation = null;
+    this.deferredCompletion = null;
+    this.progress = null;
+    this.progressInterval = 1000;
+    this.progressNotified = 0;
+    this.progressTimer = null;
   }
 
   /**
@@ -48,10 +56,22 @@ class Action {
       description[this.name].input = this.input;
     }
 
+    if (this.progress !== null) {
+      description[this.name].progress = this.progress;
+    }
+
+    if (this.output !== null) {
+      description[this.name].output = this.output;
+    }
+
     if (this.timeCompleted !== null) {
       description[this.name].timeCompleted = this.timeCompleted;
     }
 
+    if (this.error !== null) {
+      description[this.name].error = this.error;
+    }
+
     return description;
   }
 
@@ -127,6 +147,95 @@ class Action {
     return this.timeCompleted;
   }
 
+  /**
+   * Get the progress of this action.
+   *
+   * @returns {Object|null} The progress, i.e. {percentage, message}, or null.
+   */
+  getProgress() {
+    return this.progress;
+  }
+
+  /**
+   * Report the progress of this action.
+   *
+   * Subscribers are notified at most once per progressInterval milliseconds;
+   * the latest progress is always sent once the interval has elapsed.
+   *
+   * @param {Number} percentage Completion percentage, from 0 to 100
+   * @param {String} message (Optional) Human-readable progress message
+   */
+  setProgress(percentage, message) {
+    if (this.isFinished() || this.status === 'cancelling') {
+      return;
+    }
+
+    this.progress = {
+      percentage: Math.min(Math.max(Number(percentage) || 0, 0), 100),
+    };
+
+    if (message) {
+      this.progress.message = String(message);
+    }
+
+    if (this.progressTimer !== null) {
+      return;
+    }
+
+    const delay = this.progressNotified + this.progressInterval - Date.now();
+    if (delay <= 0) {
+      this.notifyProgress();
+    } else {
+      this.progressTimer = setTimeout(() => this.notifyProgress(), delay);
+    }
+  }
+
+  /**
+   * Notify subscribers of the current progress.
+   */
+  notifyProgress() {
+    this.progressTimer = null;
+    this.progressNotified = Date.now();
+    this.thing.actionNotify(this);
+  }
+
+  /**
+   * Drop any progress notification that has not been sent yet.
+   */
+  clearProgressTimer() {
+    if (this.progressTimer !== null) {
+      clearTimeout(this.progressTimer);
+      this.progressTimer = null;
+    }
+  }
+
+  /**
+   * Get the output of this action.
+   *
+   * @returns {*} The output, or null if the action produced none.
+   */
+  getOutput() {
+    return this.output;
+  }
+
+  /**
+   * Get the error the action failed with.
+   *
+   * @returns {Object|null} The error, i.e. {message, code}, or null.
+   */
+  getError() {
+    return this.error;
+  }
+
+  /**
+   * Determine whether or not this action has reached a final status.
+   *
+   * @returns {Boolean} Whether the action completed, failed or was cancelled.
+   */
+  isFinished() {
+    return ['completed', 'failed', 'cancelled'].includes(this.status);
+  }
+
   /**
    * Get the inputs for this action.
    *
@@ -138,17 +247,43 @@ class Action {
 
   /**
    * Start performing the action.
+   *
+   * If the concurrency policy of the action's type does not allow it to run
+   * yet, the action is queued instead.
    */
   start() {
+    if (!this.thing.canStartAction(this)) {
+      this.status = 'queued';
+      this.thing.actionNotify(this);
+      return;
+    }
+
+    this.run();
+  }
+
+  /**
+   * Run the action, regardless of the concurrency policy of its type.
+   */
+  run() {
     this.status = 'pending';
     this.thing.actionNotify(this);
-    this.performAction().then(() => this.finish(), () => this.finish());
+
+    let promise;
+    try {
+      promise = Promise.resolve(this.performAction());
+    } catch (e) {
+      promise = Promise.reject(e);
+    }
+
+    promise.then((output) => this.finish(output), (e) => this.fail(e));
   }
 
   /**
    * Override this with the code necessary to perform the action.
    *
-   * @returns {Object} Promise that resolves when the action is finished.
+   * @returns {Object} Promise that resolves with the action's output, if any,
+   *                   when the action is finished, or rejects with an error if
+   *                   the action failed.
    */
   performAction() {
     return Promise.resolve();
@@ -163,13 +298,125 @@ class Action {
     return Promise.resolve();
   }
 
+  /**
+   * Cancel the action.
+   *
+   * The action is marked 'cancelling' while cancel() runs, then 'cancelled'.
+   * Any completion reported by performAction() in the meantime is discarded.
+   *
+   * @returns {Object} Promise that resolves once the action is cancelled.
+   */
+  abort() {
+    if (this.isFinished()) {
+      return Promise.resolve();
+    }
+
+    if (this.cancellation) {
+      return this.cancellation;
+    }
+
+    // An action which never ran has nothing to cancel.
+    if (this.status === 'created' || this.status === 'queued') {
+      this.status = 'cancelled';
+      this.timeCompleted = utils.timestamp();
+      this.thing.actionNotify(this);
+      return Promise.resolve();
+    }
+
+    const previousStatus = this.status;
+    this.clearProgressTimer();
+    this.status = 'cancelling';
+    this.thing.actionNotify(this);
+
+    this.cancellation = Promise.resolve().then(() => this.cancel()).then(
+      () => {
+        this.deferredCompletion = null;
+        this.status = 'cancelled';
+        this.timeCompleted = utils.timestamp();
+        this.thing.actionNotify(this);
+        this.thing.startQueuedActions(this);
+      },
+      (e) => {
+        this.cancellation = null;
+        this.status = previousStatus;
+        this.thing.actionNotify(this);
+
+        // The action kept running, so report its outcome if it already has
+        // one.
+        if (this.deferredCompletion) {
+          const completion = this.deferredCompletion;
+          this.deferredCompletion = null;
+          completion();
+        }
+
+        throw e;
+      });
+
+    return this.cancellation;
+  }
+
   /**
    * Finish performing the action.
+   *
+   * The output is only kept if the action type declares an output schema.
+   *
+   * @param {*} output (Optional) Output of the action
    */
-  finish() {
+  finish(output) {
+    if (this.status === 'cancelling') {
+      this.deferredCompletion = () => this.finish(output);
+      return;
+    }
+
+    if (this.status === 'cancelled') {
+      return;
+    }
+
+    if (typeof output !== 'undefined' &&
+        this.thing.hasActionOutput(this.name)) {
+      if (!this.thing.validateActionOutput(this.name, output)) {
+        this.fail(new Error('Invalid action output'));
+        return;
+      }
+
+      this.output = output;
+    }
+
+    this.clearProgressTimer();
     this.status = 'completed';
     this.timeCompleted = utils.timestamp();
     this.thing.actionNotify(this);
+    this.thing.startQueuedActions(this);
+  }
+
+  /**
+   * Mark the action as failed.
+   *
+   * @param {*} error The error the action was rejected with
+   */
+  fail(error) {
+    if (this.status === 'cancelling') {
+      this.deferredCompletion = () => this.fail(error);
+      return;
+    }
+
+    if (this.status === 'cancelled') {
+      return;
+    }
+
+    this.clearProgressTimer();
+    this.status = 'failed';
+    this.timeCompleted = utils.timestamp();
+    this.error = {
+      message: error instanceof Error ? error.message : String(error),
+    };
+
+    if (error && typeof error.code !== 'undefined') {
+      this.error.code = error.code;
+    }
+
+    this.thing.actionNotify(this);
+    this.thing.startQueuedActions(this);
   }
 }
 
@@ -8,9 +8,37 @@ const coap = require('coap');
 const coapRouter = require('coap-router');
 const dnssd = require('dnssd');
 const os = require('os');
+const url = require('url');
+const query = require('./query');
 const utils = require('./utils');
+const validation = require('./validation');
 const helpers = require('./helpers');
 
+coap.registerFormat('application/td+json', 432);
+
+/**
+ * Respond with a list of action or event descriptions, filtered and paginated
+ * according to the URI query of the request.
+ *
+ * @param {Object} req The request object of type IncomingMessage
+ * @param {Object} res The response object of type OutgoingMessage
+ * @param {Object[]} descriptions The descriptions
+ * @param {Boolean} allowStatus Whether filtering by status is supported
+ */
+function sendDescriptions(req, res, descriptions, allowStatus) {
+  let parsed;
+  try {
+    parsed = query.parse(url.parse(req.url, true).query,
+                         allowStatus ? ['status'] : []);
+  } catch (e) {
+    res.statusCode = 400;
+    res.end();
+    return;
+  }
+
+  res.json(query.apply(descriptions, parsed).items);
+}
+
 /**
  * Base handler that is initialized with a list of things.
  */
@@ -46,9 +74,16 @@ class CoapThingsHandler extends CoapBaseHandler {
      * @param {Object} res The response object of type OutgoingMessage
      */
   get(req, res) {
+    const dialect = helpers.getDialect(req);
+    if (dialect === null) {
+      res.statusCode = 400;
+      res.end();
+      return;
+    }
+
     const descriptions = (
       this.things.getThings().map((thing) => {
-        return helpers.getDescription(req, thing);
+        return helpers.getDescription(req, thing, dialect);
       })
     );
     res.json(descriptions);
@@ -72,9 +107,54 @@ class CoapThingHandler extends CoapBaseHandler {
       res.end();
       return;
     }
-    const description = helpers.getDescription(req, thing);
+
+    const dialect = helpers.getDialect(req);
+    if (dialect === null) {
+      res.statusCode = 400;
+      res.end();
+      return;
+    }
+
+    const description = helpers.getDescription(req, thing, dialect);
+    if (dialect === 'w3c') {
+      res.setOption('Content-Format', 'application/td+json');
+      res.end(JSON.stringify(description));
+      return;
+    }
+
     res.json(description);
   }
+
+  /**
+     * Handle an observe request.
+     *
+     * @param {Object} req The request object of type IncomingMessage
+     * @param {Object} res The response object of type OutgoingMessage
+     */
+  observe(req, res) {
+    const thing = this.getThing(req);
+    if (thing === null) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+
+    const dialect = helpers.getDialect(req);
+    if (dialect === null) {
+      res.statusCode = 400;
+      res.end();
+      return;
+    }
+
+    helpers.observe(res, thing, helpers.getDescription(req, thing, dialect),
+                    (message) => {
+                      if (message.messageType !== 'thingDescriptionChanged') {
+                        return null;
+                      }
+
+                      return helpers.getDescription(req, thing, dialect);
+                    });
+  }
 }
 
 /**
@@ -150,8 +230,63 @@ class CoapPropertiesHandler extends CoapBaseHandler {
       return;
     }
 
+    // Stale values must not be cached.
+    if (thing.getStaleProperties().length > 0) {
+      res.setOption('Max-Age', 0);
+    }
+
     res.json(thing.getProperties());
   }
+
+  /**
+     * Handle a PUT request, setting several properties as a unit.
+     *
+     * @param {Object} req The request object of type IncomingMessage
+     * @param {Object} res The response object of type OutgoingMessage
+     */
+  put(req, res) {
+    const thing = this.getThing(req);
+    if (thing === null) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+
+    let result;
+    let values;
+    try {
+      values = helpers.getBody(req);
+      if (!values || typeof values !== 'object' || Array.isArray(values) ||
+          Object.keys(values).length === 0) {
+        throw new Error('Invalid property values');
+      }
+
+      result = thing.setProperties(values);
+    } catch (e) {
+      res.statusCode = 400;
+      res.end();
+      return;
+    }
+
+    result.then(() => {
+      const response = {};
+      for (const name in values) {
+        if (!thing.findProperty(name).isWriteOnly()) {
+          response[name] = thing.getProperty(name);
+        }
+      }
+
+      if (Object.keys(response).length === 0) {
+        res.statusCode = 204;
+        res.end();
+      } else {
+        res.json(response);
+      }
+    }).catch(() => {
+      res.statusCode = 500;
+      res.end();
+    });
+  }
 }
 
 /**
@@ -174,6 +309,16 @@ class CoapPropertyHandler extends CoapBaseHandler {
 
     const propertyName = req.params.propertyName;
     if (thing.hasProperty(propertyName)) {
+      if (thing.findProperty(propertyName).isWriteOnly()) {
+        res.statusCode = 403;
+        res.end();
+        return;
+      }
+
+      if (thing.findProperty(propertyName).isStale()) {
+        res.setOption('Max-Age', 0);
+      }
+
       res.json({[propertyName]: thing.getProperty(propertyName)});
     } else {
       res.statusCode = 404;
@@ -204,14 +349,26 @@ class CoapPropertyHandler extends CoapBaseHandler {
     }
 
     if (thing.hasProperty(propertyName)) {
+      let result;
       try {
-        thing.setProperty(propertyName, body[propertyName]);
+        result = thing.setProperty(propertyName, body[propertyName]);
       } catch (e) {
         res.statusCode = 400;
         res.end();
         return;
       }
-      res.json({[propertyName]: thing.getProperty(propertyName)});
+
+      result.then(() => {
+        if (thing.findProperty(propertyName).isWriteOnly()) {
+          res.statusCode = 204;
+          res.end();
+        } else {
+          res.json({[propertyName]: thing.getProperty(propertyName)});
+        }
+      }).catch(() => {
+        res.statusCode = 500;
+        res.end();
+      });
     } else {
       res.statusCode = 404;
       res.end();
@@ -219,6 +376,51 @@ class CoapPropertyHandler extends CoapBaseHandler {
   }
 }
 
+/**
+ * Handle a request to /properties/<property>/history.
+ */
+class CoapPropertyHistoryHandler extends CoapBaseHandler {
+  /**
+     * Handle a GET request.
+     *
+     * @param {Object} req The request object of type IncomingMessage
+     * @param {Object} res The response object of type OutgoingMessage
+     */
+  get(req, res) {
+    const thing = this.getThing(req);
+    if (thing === null) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+
+    const propertyName = req.params.propertyName;
+    const property = thing.findProperty(propertyName);
+    if (property === null || property.getHistory() === null) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+
+    if (property.isWriteOnly()) {
+      res.statusCode = 403;
+      res.end();
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = query.parse(url.parse(req.url, true).query, ['interval']);
+    } catch (e) {
+      res.statusCode = 400;
+      res.end();
+      return;
+    }
+
+    res.json({[propertyName]: property.getHistory().getSamples(parsed)});
+  }
+}
+
 /**
  * Handle a request to /actions.
  */
@@ -237,7 +439,7 @@ class CoapActionsHandler extends CoapBaseHandler {
       return;
     }
 
-    res.json(thing.getActionDescriptions());
+    sendDescriptions(req, res, thing.getActionDescriptions(), true);
   }
 
   /**
@@ -262,10 +464,18 @@ class CoapActionsHandler extends CoapBaseHandler {
         input = body[actionName].input;
       }
 
-      const action = thing.performAction(actionName, input);
+      let action;
+      try {
+        action = thing.performAction(actionName, input);
+      } catch (e) {
+        res.statusCode = utils.getActionErrorStatus(e);
+        res.end();
+        return;
+      }
+
       if (action) {
-        response = Object.assign(response, action.asActionDescription());
         action.start();
+        response = Object.assign(response, action.asActionDescription());
       }
     }
 
@@ -294,7 +504,7 @@ class CoapActionHandler extends CoapBaseHandler {
 
     const actionName = req.params.actionName;
 
-    res.json(thing.getActionDescriptions(actionName));
+    sendDescriptions(req, res, thing.getActionDescriptions(actionName), true);
   }
 
   /**
@@ -325,10 +535,18 @@ class CoapActionHandler extends CoapBaseHandler {
         input = body[name].input;
       }
 
-      const action = thing.performAction(name, input);
+      let action;
+      try {
+        action = thing.performAction(name, input);
+      } catch (e) {
+        res.statusCode = utils.getActionErrorStatus(e);
+        res.end();
+        return;
+      }
+
       if (action) {
-        response = Object.assign(response, action.asActionDescription());
         action.start();
+        response = Object.assign(response, action.asActionDescription());
       }
     }
 
@@ -368,6 +586,41 @@ class CoapActionIDHandler extends CoapBaseHandler {
     res.json(action.asActionDescription());
   }
 
+  /**
+     * Handle an observe request.
+     *
+     * @param {Object} req The request object of type IncomingMessage
+     * @param {Object} res The response object of type OutgoingMessage
+     */
+  observe(req, res) {
+    const thing = this.getThing(req);
+    if (thing === null) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+
+    const actionName = req.params.actionName;
+    const actionId = req.params.actionId;
+
+    const action = thing.getAction(actionName, actionId);
+    if (action === null) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+
+    helpers.observe(res, thing, action.asActionDescription(), (message) => {
+      if (message.messageType !== 'actionStatus' ||
+          !message.data.hasOwnProperty(action.getName()) ||
+          message.data[action.getName()].href !== action.getHref()) {
+        return null;
+      }
+
+      return message.data;
+    });
+  }
+
   /**
      * Handle a PUT request.
      *
@@ -404,13 +657,13 @@ class CoapActionIDHandler extends CoapBaseHandler {
     const actionName = req.params.actionName;
     const actionId = req.params.actionId;
 
-    if (thing.removeAction(actionName, actionId)) {
-      res.statusCode = 204;
+    thing.removeAction(actionName, actionId).then((removed) => {
+      res.statusCode = removed ? 204 : 404;
       res.end();
-    } else {
-      res.statusCode = 404;
+    }).catch(() => {
+      res.statusCode = 500;
       res.end();
-    }
+    });
   }
 }
 
@@ -432,7 +685,7 @@ class CoapEventsHandler extends CoapBaseHandler {
       return;
     }
 
-    res.json(thing.getEventDescriptions());
+    sendDescriptions(req, res, thing.getEventDescriptions(), false);
   }
 }
 
@@ -456,7 +709,56 @@ class CoapEventHandler extends CoapBaseHandler {
 
     const eventName = req.params.eventName;
 
-    res.json(thing.getEventDescriptions(eventName));
+    sendDescriptions(req, res, thing.getEventDescriptions(eventName), false);
+  }
+
+  /**
+     * Handle an observe request, notifying the observer of each new event.
+     *
+     * @param {Object} req The request object of type IncomingMessage
+     * @param {Object} res The response object of type OutgoingMessage
+     */
+  observe(req, res) {
+    const thing = this.getThing(req);
+    if (thing === null) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+
+    const eventName = req.params.eventName;
+    if (!thing.availableEvents.hasOwnProperty(eventName)) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+
+    helpers.observeEvent(res,
+                         thing,
+                         eventName,
+                         thing.getEventDescriptions(eventName));
+  }
+}
+
+/**
+ * Handle a request to /model.
+ */
+class CoapModelHandler extends CoapBaseHandler {
+  /**
+     * Handle a GET request.
+     *
+     * @param {Object} req The request object of type IncomingMessage
+     * @param {Object} res The response object of type OutgoingMessage
+     */
+  get(req, res) {
+    const thing = this.getThing(req);
+    if (thing === null || thing.getModel() === null) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+
+    res.json(thing.getModel().asThingModel());
   }
 }
 
@@ -475,14 +777,25 @@ class CoapWebThingServer {
      * @param {Object[]} additionalRoutes List of additional routes to add to
      *                                    server, i.e. [{path: '..', handler: ..}]
      * @param {String} basePath Base URL path to use, rather than '/'
+     * @param {Object} options (Optional) Server options:
+     *                        - validation: whether to check the things'
+     *                          descriptions against the W3C WoT TD schema,
+     *                          one of 'off' (the default), 'warn' to log
+     *                          problems and 'strict' to throw an error
+     *                        - capabilities: whether to check the things'
+     *                          semantic types against the Mozilla capability
+     *                          schemas, with the same modes
      */
   constructor(
     things,
     port = null,
     hostname = null,
     additionalRoutes = null,
-    basePath = '/'
+    basePath = '/',
+    options = null
   ) {
+    options = options || {};
+
     this.things = things;
     this.name = things.getName();
     this.port = Number(port);
@@ -516,6 +829,10 @@ class CoapWebThingServer {
       things.getThing().setHrefPrefix(this.basePath);
     }
 
+    validation.checkThings(things.getThings(),
+                           options,
+                           {coap: `coap://localhost:${this.port}`});
+
     this.app = coapRouter();
 
     const thingsHandler = new CoapThingsHandler(this.things);
@@ -524,11 +841,14 @@ class CoapWebThingServer {
     const coreHandler = new CoapCoreHandler(this.things);
     const propertiesHandler = new CoapPropertiesHandler(this.things);
     const propertyHandler = new CoapPropertyHandler(this.things);
+    const propertyHistoryHandler =
+      new CoapPropertyHistoryHandler(this.things);
     const actionsHandler = new CoapActionsHandler(this.things);
     const actionHandler = new CoapActionHandler(this.things);
     const actionIdHandler = new CoapActionIDHandler(this.things);
     const eventsHandler = new CoapEventsHandler(this.things);
     const eventHandler = new CoapEventHandler(this.things);
+    const modelHandler = new CoapModelHandler(this.things);
 
     if (Array.isArray(additionalRoutes)) {
       for (const route of additionalRoutes) {
@@ -539,13 +859,19 @@ class CoapWebThingServer {
       this.app.get('/', (req, res) => thingsHandler.get(req, res));
       this.app.get('/.well-known/core', (req, res) => coresHandler.get(req, res));
       this.app.get('/:thingId', (req, res) => thingHandler.get(req, res));
+      this.app.observe('/:thingId',
+                       (req, res) => thingHandler.observe(req, res));
 
       this.app.get('/:thingId/properties',
                    (req, res) => propertiesHandler.get(req, res));
+      this.app.put('/:thingId/properties',
+                   (req, res) => propertiesHandler.put(req, res));
       this.app.get('/:thingId/properties/:propertyName',
                    (req, res) => propertyHandler.get(req, res));
       this.app.put('/:thingId/properties/:propertyName',
                    (req, res) => propertyHandler.put(req, res));
+      this.app.get('/:thingId/properties/:propertyName/history',
+                   (req, res) => propertyHistoryHandler.get(req, res));
       this.app.get('/:thingId/actions',
                    (req, res) => actionsHandler.get(req, res));
       this.app.post('/:thingId/actions',
@@ -556,6 +882,8 @@ class CoapWebThingServer {
                     (req, res) => actionHandler.post(req, res));
       this.app.get('/:thingId/actions/:actionName/:actionId',
                    (req, res) => actionIdHandler.get(req, res));
+      this.app.observe('/:thingId/actions/:actionName/:actionId',
+                       (req, res) => actionIdHandler.observe(req, res));
       this.app.put('/:thingId/actions/:actionName/:actionId',
                    (req, res) => actionIdHandler.put(req, res));
       this.app.delete('/:thingId/actions/:actionName/:actionId',
@@ -564,16 +892,25 @@ class CoapWebThingServer {
                    (req, res) => eventsHandler.get(req, res));
       this.app.get('/:thingId/events/:eventName',
                    (req, res) => eventHandler.get(req, res));
+      this.app.observe('/:thingId/events/:eventName',
+                       (req, res) => eventHandler.observe(req, res));
+      this.app.get('/:thingId/model',
+                   (req, res) => modelHandler.get(req, res));
     } else {
       this.app.get('/', (req, res) => thingHandler.get(req, res));
+      this.app.observe('/', (req, res) => thingHandler.observe(req, res));
       this.app.get('/.well-known/core', (req, res) => coreHandler.get(req, res));
 
       this.app.get('/properties',
                    (req, res) => propertiesHandler.get(req, res));
+      this.app.put('/properties',
+                   (req, res) => propertiesHandler.put(req, res));
       this.app.get('/properties/:propertyName',
                    (req, res) => propertyHandler.get(req, res));
       this.app.put('/properties/:propertyName',
                    (req, res) => propertyHandler.put(req, res));
+      this.app.get('/properties/:propertyName/history',
+                   (req, res) => propertyHistoryHandler.get(req, res));
       this.app.get('/actions',
                    (req, res) => actionsHandler.get(req, res));
       this.app.post('/actions',
@@ -584,6 +921,8 @@ class CoapWebThingServer {
                     (req, res) => actionHandler.post(req, res));
       this.app.get('/actions/:actionName/:actionId',
                    (req, res) => actionIdHandler.get(req, res));
+      this.app.observe('/actions/:actionName/:actionId',
+                       (req, res) => actionIdHandler.observe(req, res));
       this.app.put('/actions/:actionName/:actionId',
                    (req, res) => actionIdHandler.put(req, res));
       this.app.delete('/actions/:actionName/:actionId',
@@ -592,13 +931,18 @@ class CoapWebThingServer {
                    (req, res) => eventsHandler.get(req, res));
       this.app.get('/events/:eventName',
                    (req, res) => eventHandler.get(req, res));
+      this.app.observe('/events/:eventName',
+                       (req, res) => eventHandler.observe(req, res));
+      this.app.get('/model',
+                   (req, res) => modelHandler.get(req, res));
     }
 
     this.server = coap.createServer(this.app);
   }
 
   /**
-     * Start listening for incoming connections.
+     * Start listening for incoming connections, once the persisted state of
+     * the things is restored.
      *
      * @returns {Promise} Promise which resolves once the server is started.
      */
@@ -620,19 +964,23 @@ class CoapWebThingServer {
     });
     this.mdns.start();
 
-    return new Promise((resolve) => {
-      this.server.listen({port: this.port}, resolve);
+    const restored = this.things.getThings().map((t) => t.restoreState());
+
+    return Promise.all(restored).then(() => {
+      return new Promise((resolve) => {
+        this.server.listen({port: this.port}, resolve);
+      });
     });
   }
 
   /**
-     * Stop listening.
+     * Stop listening, and save the state of the things.
      *
      * @param {boolean?} force - Whether or not to force shutdown immediately.
      * @returns {Promise} Promise which resolves once the server is stopped.
      */
   stop(force = false) {
-    const promises = [];
+    const promises = this.things.getThings().map((t) => t.saveState());
 
     if (this.mdns) {
       promises.push(new Promise((resolve, reject) => {
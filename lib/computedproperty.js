@@ -0,0 +1,104 @@
+/**
+ * Computed property implementation.
+ */
+
+'use strict';
+
+const Property = require('./property');
+const Value = require('./value');
+
+/**
+ * A ComputedProperty is a read-only property whose value is derived from
+ * other properties of the same thing, i.e. a comfort index computed from
+ * temperature and humidity.
+ */
+class ComputedProperty extends Property {
+  /**
+   * Initialize the object.
+   *
+   * The dependencies must have been added to the thing beforehand. The value
+   * follows every change of the dependencies, regardless of their
+   * notification options.
+   *
+   * @param {Object} thing Thing this property belongs to
+   * @param {String} name Name of the property
+   * @param {String[]} dependencies Names of the properties the value is
+   *                                computed from
+   * @param {function} compute Function computing the value, called with the
+   *                           values of the dependencies in order
+   * @param {Object} metadata Property metadata, i.e. type, description, unit,
+   *                          etc., as an object.
+   */
+  constructor(thing, name, dependencies, compute, metadata) {
+    super(thing,
+          name,
+          new Value(null),
+          Object.assign({}, metadata, {readOnly: true}));
+
+    this.dependencies = dependencies.map((dependency) => {
+      const property = thing.findProperty(dependency);
+      if (property === null) {
+        throw new Error(`Unknown dependency of ${name}: ${dependency}`);
+      }
+
+      return property;
+    });
+    this.compute = compute;
+    this.changeListener = () => this.recompute();
+    this.staleListener = () => this.checkStale();
+
+    for (const property of this.dependencies) {
+      property.value.on('change', this.changeListener);
+      property.value.on('stale', this.staleListener);
+    }
+
+    this.recompute();
+  }
+
+  /**
+   * Stop observing the value and the dependencies.
+   */
+  detach() {
+    super.detach();
+
+    for (const property of this.dependencies) {
+      property.value.removeListener('change', this.changeListener);
+      property.value.removeListener('stale', this.staleListener);
+    }
+  }
+
+  /**
+   * Mark the value as stale whenever one of the dependencies is.
+   */
+  checkStale() {
+    if (this.dependencies.some((p) => p.isStale())) {
+      this.value.markStale();
+    } else {
+      this.recompute();
+    }
+  }
+
+  /**
+   * Compute the value from the current values of the dependencies.
+   *
+   * The value is stale whenever one of the dependencies is, and unknown if
+   * the computation fails.
+   */
+  recompute() {
+    let value;
+    try {
+      value = this.compute(...this.dependencies.map((p) => p.getValue()));
+    } catch (e) {
+      console.error(`Failed to compute ${this.name}: ${e}`);
+      value = null;
+    }
+
+    this.value.notifyOfExternalUpdate(value);
+
+    if (this.dependencies.some((p) => p.isStale())) {
+      this.value.markStale();
+    }
+  }
+}
+
+module.exports = ComputedProperty;
@@ -0,0 +1,152 @@
+/**
+ * Forms of the W3C WoT Thing Description dialect.
+ */
+
+'use strict';
+
+/**
+ * Build a form.
+ *
+ * @param {String} href Absolute URL of the form
+ * @param {String[]} ops Operation types
+ * @returns {Object} The form.
+ */
+function form(href, ops) {
+  return {
+    href,
+    op: ops,
+    contentType: 'application/json',
+  };
+}
+
+/**
+ * Add the forms of a resource which is served over HTTP and CoAP alike.
+ *
+ * @param {Object[]} forms Forms to add to
+ * @param {Object} origins Origins of the protocols served
+ * @param {String} path Path of the resource
+ * @param {String[]} ops Operation types
+ */
+function addResourceForms(forms, origins, path, ops) {
+  if (ops.length === 0) {
+    return;
+  }
+
+  for (const protocol of ['http', 'coap']) {
+    if (origins[protocol]) {
+      forms.push(form(`${origins[protocol]}${path}`, ops));
+    }
+  }
+}
+
+module.exports = {
+  /**
+   * Get the forms of a property.
+   *
+   * @param {Object} property The property
+   * @param {Object} origins Origins of the protocols served, i.e.
+   *                         {http: 'http://host:8888', ws: 'ws://host:8888',
+   *                         coap: 'coap://host'}
+   * @returns {Object[]} The forms.
+   */
+  property: function(property, origins) {
+    const forms = [];
+    const readOnly = !!property.getMetadata().readOnly;
+
+    const ops = [];
+    if (!property.isWriteOnly()) {
+      ops.push('readproperty');
+    }
+
+    if (!readOnly) {
+      ops.push('writeproperty');
+    }
+
+    addResourceForms(forms, origins, property.getHref(), ops);
+
+    if (origins.ws) {
+      const wsOps = readOnly ? [] : ['writeproperty'];
+      if (property.isObservable()) {
+        wsOps.push('observeproperty', 'unobserveproperty');
+      }
+
+      if (wsOps.length > 0) {
+        const href = `${origins.ws}${property.getThing().getHref()}`;
+        forms.push(form(href, wsOps));
+      }
+    }
+
+    return forms;
+  },
+
+  /**
+   * Get the forms of an action.
+   *
+   * @param {Object} thing The thing
+   * @param {String} name Name of the action
+   * @param {Object} origins Origins of the protocols served
+   * @returns {Object[]} The forms.
+   */
+  action: function(thing, name, origins) {
+    const forms = [];
+    const path = `${thing.hrefPrefix}/actions/${name}`;
+
+    addResourceForms(forms, origins, path, ['invokeaction']);
+
+    if (origins.ws) {
+      forms.push(form(`${origins.ws}${thing.getHref()}`, ['invokeaction']));
+    }
+
+    return forms;
+  },
+
+  /**
+   * Get the forms of an event.
+   *
+   * Events can only be subscribed to over websockets and by observing them
+   * over CoAP.
+   *
+   * @param {Object} thing The thing
+   * @param {String} name Name of the event
+   * @param {Object} origins Origins of the protocols served
+   * @returns {Object[]} The forms.
+   */
+  event: function(thing, name, origins) {
+    const forms = [];
+
+    if (origins.ws) {
+      forms.push(form(`${origins.ws}${thing.getHref()}`, ['subscribeevent']));
+    }
+
+    if (origins.coap) {
+      const href = `${origins.coap}${thing.hrefPrefix}/events/${name}`;
+      forms.push(form(href, ['subscribeevent', 'unsubscribeevent']));
+    }
+
+    return forms;
+  },
+
+  /**
+   * Get the forms of a thing, i.e. for operations on all its properties.
+   *
+   * @param {Object} thing The thing
+   * @param {Object} origins Origins of the protocols served
+   * @returns {Object[]} The forms.
+   */
+  thing: function(thing, origins) {
+    const forms = [];
+    const path = `${thing.hrefPrefix}/properties`;
+
+    addResourceForms(forms,
+                     origins,
+                     path,
+                     ['readallproperties', 'writemultipleproperties']);
+
+    if (origins.ws) {
+      forms.push(form(`${origins.ws}${thing.getHref()}`,
+                      ['observeallproperties', 'unobserveallproperties']));
+    }
+
+    return forms;
+  },
+};
@@ -4,6 +4,10 @@
 
 'use strict';
 
+const Thing = require('./thing');
+const url = require('url');
+const utils = require('./utils');
+
 const resourceGroupKeys = ['href', 'links', 'properties', 'actions', 'events'];
 const protocol = 'coap';
 
@@ -11,13 +15,26 @@ const helpers = {
   /**
      * Create description for thing.
      *
+     * @param {Object} req The request object of type IncomingMessage
      * @param {Object} thing The thing
+     * @param {String} dialect (Optional) The description dialect, 'mozilla'
+     *                         (the default) or 'w3c'
      * @returns {Object} Description for thing.
      */
-  getDescription(req, thing) {
-    const description = thing.asThingDescription();
-    if (thing.getHref() !== '/') {
-      description.href = thing.getHref();
+  getDescription(req, thing, dialect) {
+    let description;
+    if (dialect === 'w3c') {
+      description = thing.asThingDescription({
+        dialect,
+        origins: {
+          coap: `${protocol}://${req.host}`,
+        },
+      });
+    } else {
+      description = thing.asThingDescription();
+      if (thing.getHref() !== '/') {
+        description.href = thing.getHref();
+      }
     }
     // Uri-Host option must be set by sender to get correct base
     description.base = `${protocol}://${req.host}${thing.getHref()}`;
@@ -38,6 +55,16 @@ const helpers = {
      */
   getCoreLinkFormat(description) {
     const core = [];
+    const context = description['@context'];
+    const getTypes = (resource, fallback) => {
+      if (!resource.hasOwnProperty('@type')) {
+        return fallback;
+      }
+
+      return [].concat(resource['@type'])
+        .map((type) => utils.expandType(type, context))
+        .join(' ');
+    };
 
     for (const rgKey of resourceGroupKeys) {
       if (description.hasOwnProperty(rgKey)) {
@@ -64,7 +91,7 @@ const helpers = {
             let coreLink;
             switch (rgKey) {
               case 'properties':
-                const types = Array.isArray(resource['@type']) ? resource['@type'].join(' ') : resource['@type'];
+                const types = getTypes(resource, link.rel);
                 coreLink = `<${link.href}>;rt="${types}";ct=50;title="${resource.title}"`;
                 break;
               case 'actions':
@@ -83,6 +110,74 @@ const helpers = {
     return core.join(',');
   },
 
+  /**
+     * Register a CoAP observer as a subscriber of a thing.
+     *
+     * The observer receives the thing's websocket messages; each message that
+     * the selector maps to a payload is sent as a notification.
+     *
+     * @param {Object} res The response object of type OutgoingMessage
+     * @param {Object} thing The thing to observe
+     * @param {Object} initial The payload of the initial notification
+     * @param {Function} select Function mapping a parsed message to the
+     *                          payload to send, or to null to skip it
+     */
+  observe(res, thing, initial, select) {
+    const subscriber = {
+      send: (message) => {
+        const payload = select(JSON.parse(message));
+        if (payload !== null) {
+          res.write(JSON.stringify(payload));
+        }
+      },
+    };
+
+    res.setOption('Content-Format', 'application/json');
+    res.write(JSON.stringify(initial));
+
+    thing.addSubscriber(subscriber);
+    res.on('finish', () => thing.removeSubscriber(subscriber));
+  },
+
+  /**
+     * Register a CoAP observer as a subscriber of an event.
+     *
+     * @param {Object} res The response object of type OutgoingMessage
+     * @param {Object} thing The thing
+     * @param {String} eventName Name of the event to observe
+     * @param {Object} initial The payload of the initial notification
+     */
+  observeEvent(res, thing, eventName, initial) {
+    const subscriber = {
+      send: (message) => {
+        res.write(JSON.stringify(JSON.parse(message).data));
+      },
+    };
+
+    res.setOption('Content-Format', 'application/json');
+    res.write(JSON.stringify(initial));
+
+    thing.addEventSubscriber(eventName, subscriber);
+    res.on('finish', () => thing.removeEventSubscriber(eventName, subscriber));
+  },
+
+  /**
+     * Get the description dialect asked for by a client, either with the
+     * 'dialect' query parameter or by accepting application/td+json.
+     *
+     * @param {Object} req The request object of type IncomingMessage
+     * @returns {String|null} 'mozilla' or 'w3c', or null if unknown.
+     */
+  getDialect(req) {
+    const params = url.parse(req.url, true).query;
+    if (typeof params.dialect === 'string') {
+      const dialect = params.dialect;
+      return Thing.DESCRIPTION_DIALECTS.includes(dialect) ? dialect : null;
+    }
+
+    return req.headers.Accept === 'application/td+json' ? 'w3c' : 'mozilla';
+  },
+
   /**
      * Get parsed payload Buffer from request.
      *
@@ -0,0 +1,303 @@
+/**
+ * Property value history.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const utils = require('./utils');
+
+/**
+ * A record of the past values of a property.
+ *
+ * Samples are kept in a fixed-size ring buffer in memory and, optionally,
+ * appended to a log file as JSON lines, which is read back on startup. The
+ * log file is compacted to the samples in memory whenever it holds twice as
+ * many, so that it does not grow without bounds.
+ */
+class History {
+  /**
+   * Initialize the object.
+   *
+   * @param {Object} options (Optional) History options:
+   *                         - size: number of samples kept in memory
+   *                           (defaults to 1000)
+   *                         - file: path of the log file to append samples to
+   */
+  constructor(options) {
+    options = options || {};
+
+    this.size = options.size || 1000;
+    this.file = options.file || null;
+    this.samples = new Array(this.size);
+    this.start = 0;
+    this.count = 0;
+    this.loaded = !this.file;
+    this.fileLines = 0;
+    this.writing = Promise.resolve();
+
+    if (this.file) {
+      this.writing = this.load();
+    }
+  }
+
+  /**
+   * Read samples back from the log file, ahead of any sample recorded in the
+   * meantime, and compact the file.
+   *
+   * @returns {Object} Promise which resolves once the file is compacted.
+   */
+  load() {
+    return new Promise((resolve) => {
+      fs.readFile(this.file, 'utf8', (e, data) => {
+        resolve(e ? [] : data.split('\n'));
+      });
+    }).then((lines) => {
+      const recorded = this.getBufferedSamples();
+      this.start = 0;
+      this.count = 0;
+
+      for (const line of lines.slice(-this.size - 1)) {
+        try {
+          const sample = JSON.parse(line);
+          this.push(Date.parse(sample.timestamp), sample.value);
+        } catch (e) {
+          // skip empty or truncated lines
+        }
+      }
+
+      for (const sample of recorded) {
+        this.push(sample.time, sample.value);
+      }
+
+      this.loaded = true;
+      return this.compact();
+    }).catch((e) => {
+      console.error(`Failed to write history to ${this.file}: ${e}`);
+    });
+  }
+
+  /**
+   * Get the samples in the ring buffer, oldest first.
+   *
+   * @returns {Object[]} Samples, i.e. [{time, value}].
+   */
+  getBufferedSamples() {
+    const samples = [];
+    for (let i = 0; i < this.count; i++) {
+      samples.push(this.samples[(this.start + i) % this.size]);
+    }
+
+    return samples;
+  }
+
+  /**
+   * Format a sample as a line of the log file.
+   *
+   * @param {Object} sample The sample, i.e. {time, value}
+   * @returns {String} The line, including the line break.
+   */
+  formatLine(sample) {
+    const line = JSON.stringify({
+      timestamp: utils.timestamp(new Date(sample.time)),
+      value: sample.value,
+    });
+
+    return `${line}\n`;
+  }
+
+  /**
+   * Replace the log file with the samples in the ring buffer.
+   *
+   * The file is replaced atomically, so that a crash while writing does not
+   * lose the history.
+   *
+   * @param {Object} last (Optional) Last sample to write, leaving out newer
+   *                      samples which are still to be appended
+   * @returns {Object} Promise which resolves once the file is written.
+   */
+  compact(last) {
+    let samples = this.getBufferedSamples();
+    if (last) {
+      samples = samples.slice(0, samples.indexOf(last) + 1);
+    }
+
+    const data = samples.map((sample) => this.formatLine(sample)).join('');
+    const tmp = `${this.file}.tmp`;
+
+    return new Promise((resolve, reject) => {
+      fs.writeFile(tmp, data, (e) => {
+        if (e) {
+          reject(e);
+          return;
+        }
+
+        fs.rename(tmp, this.file, (e) => {
+          if (e) {
+            reject(e);
+          } else {
+            this.fileLines = samples.length;
+            resolve();
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Append a sample to the log file, or compact the file once it holds
+   * twice as many samples as the ring buffer.
+   *
+   * @param {Object} sample The sample, i.e. {time, value}
+   * @returns {Object} Promise which resolves once the file is written.
+   */
+  append(sample) {
+    if (this.fileLines >= 2 * this.size) {
+      return this.compact(sample);
+    }
+
+    return new Promise((resolve, reject) => {
+      fs.appendFile(this.file, this.formatLine(sample), (e) => {
+        if (e) {
+          reject(e);
+        } else {
+          this.fileLines++;
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Add a sample to the ring buffer.
+   *
+   * @param {Number} time Milliseconds since the epoch
+   * @param {*} value The value
+   * @returns {Object} The sample, i.e. {time, value}.
+   */
+  push(time, value) {
+    const sample = {time, value};
+    const index = (this.start + this.count) % this.size;
+    this.samples[index] = sample;
+
+    if (this.count < this.size) {
+      this.count++;
+    } else {
+      this.start = (this.start + 1) % this.size;
+    }
+
+    return sample;
+  }
+
+  /**
+   * Record a new value.
+   *
+   * Samples recorded while the log file is read are written along with the
+   * samples read back.
+   *
+   * @param {*} value The value
+   */
+  record(value) {
+    const sample = this.push(Date.now(), value);
+
+    if (this.file && this.loaded) {
+      this.writing = this.writing.then(() => this.append(sample)).catch((e) => {
+        console.error(`Failed to write history to ${this.file}: ${e}`);
+      });
+    }
+  }
+
+  /**
+   * Wait for the log file to be read back and for pending samples to be
+   * written to it.
+   *
+   * @returns {Object} Promise which resolves once the file is up to date.
+   */
+  flush() {
+    return this.writing;
+  }
+
+  /**
+   * Get the recorded samples, oldest first.
+   *
+   * @param {Object} query (Optional) Parsed query, see query.parse(). With an
+   *                       interval, samples are downsampled to one per
+   *                       interval: the mean of numeric values, or the last
+   *                       value otherwise.
+   * @returns {Object[]} Samples, i.e. [{timestamp, value}].
+   */
+  getSamples(query) {
+    query = query || {};
+
+    let samples = [];
+    for (const sample of this.getBufferedSamples()) {
+      if (query.hasOwnProperty('since') && sample.time < query.since) {
+        continue;
+      }
+
+      if (query.hasOwnProperty('until') && sample.time > query.until) {
+        continue;
+      }
+
+      samples.push(sample);
+    }
+
+    if (query.hasOwnProperty('interval')) {
+      samples = this.downsample(samples, query.interval * 1000);
+    }
+
+    if (query.order === 'desc') {
+      samples.reverse();
+    }
+
+    const offset = query.offset || 0;
+    if (query.hasOwnProperty('limit')) {
+      samples = samples.slice(offset, offset + query.limit);
+    } else {
+      samples = samples.slice(offset);
+    }
+
+    return samples.map((sample) => {
+      return {
+        timestamp: utils.timestamp(new Date(sample.time)),
+        value: sample.value,
+      };
+    });
+  }
+
+  /**
+   * Reduce samples to one per interval.
+   *
+   * @param {Object[]} samples Samples, oldest first
+   * @param {Number} interval Interval in milliseconds
+   * @returns {Object[]} One sample per non-empty interval.
+   */
+  downsample(samples, interval) {
+    const buckets = [];
+
+    for (const sample of samples) {
+      const time = Math.floor(sample.time / interval) * interval;
+      let bucket = buckets[buckets.length - 1];
+
+      if (!bucket || bucket.time !== time) {
+        bucket = {time, values: []};
+        buckets.push(bucket);
+      }
+
+      bucket.values.push(sample.value);
+    }
+
+    return buckets.map((bucket) => {
+      const values = bucket.values;
+      let value = values[values.length - 1];
+
+      if (values.every((v) => typeof v === 'number')) {
+        value = values.reduce((sum, v) => sum + v, 0) / values.length;
+      }
+
+      return {time: bucket.time, value};
+    });
+  }
+}
+
+module.exports = History;
@@ -4,8 +4,9 @@
 
 'use strict';
 
-const Ajv = require('ajv');
-const ajv = new Ajv();
+const forms = require('./forms');
+const History = require('./history');
+const schema = require('./schema');
 
 /**
  * A Property represents an individual state value of a thing.
@@ -18,7 +19,8 @@ class Property {
    * @param {String} name Name of the property
    * @param {Value} value Value object to hold the property value
    * @param {Object} metadata Property metadata, i.e. type, description, unit,
-   *                          etc., as an object.
+   *                          readOnly, writeOnly, observable, etc., as an
+   *                          object.
    */
   constructor(thing, name, value, metadata) {
     this.thing = thing;
@@ -27,10 +29,26 @@ class Property {
     this.hrefPrefix = '';
     this.href = `/properties/${this.name}`;
     this.metadata = metadata || {};
+    this.validator = schema.compile(this.metadata);
+    this.history = null;
+    this.persistent = true;
 
     // Add the property change observer to notify the Thing about a property
     // change.
-    this.value.on('update', () => this.thing.propertyNotify(this));
+    this.notifyListener = () => this.thing.propertyNotify(this);
+    this.historyListener = (value) => this.history.record(value);
+    this.value.on('update', this.notifyListener);
+    this.value.on('stale', this.notifyListener);
+  }
+
+  /**
+   * Stop observing the value, i.e. once the property is removed from its
+   * thing.
+   */
+  detach() {
+    this.value.removeListener('update', this.notifyListener);
+    this.value.removeListener('stale', this.notifyListener);
+    this.value.removeListener('change', this.historyListener);
   }
 
   /**
@@ -43,8 +61,7 @@ class Property {
       throw new Error('Read-only property');
     }
 
-    const valid = ajv.validate(this.metadata, value);
-    if (!valid) {
+    if (!this.validator(value)) {
       throw new Error('Invalid property value');
     }
   }
@@ -52,11 +69,24 @@ class Property {
   /**
    * Get the property description.
    *
+   * @param {Object} options (Optional) Description options, see
+   *                         Thing.asThingDescription()
    * @returns {Object} Description of the property as an object.
    */
-  asPropertyDescription() {
+  asPropertyDescription(options) {
+    options = options || {};
+
     const description = JSON.parse(JSON.stringify(this.metadata));
 
+    if (options.dialect === 'w3c') {
+      // Properties are observable unless stated otherwise, whereas the W3C
+      // WoT TD defaults to not observable, so the effective flags are given.
+      description.observable = this.isObservable();
+      description.writeOnly = this.isWriteOnly();
+      description.forms = forms.property(this, options.origins || {});
+      return description;
+    }
+
     if (!description.hasOwnProperty('links')) {
       description.links = [];
     }
@@ -100,11 +130,91 @@ class Property {
   /**
    * Set the current value of the property.
    *
+   * Throws an error if the value is invalid.
+   *
    * @param {*} value The value to set
+   * @returns {Object} Promise which resolves once the value is set, or rejects
+   *                   if the thing failed to take it over.
    */
   setValue(value) {
     this.validateValue(value);
-    this.value.set(value);
+    return this.value.set(value);
+  }
+
+  /**
+   * Determine whether the property can only be written, i.e. a PIN code.
+   *
+   * Values of write-only properties are never reported to clients.
+   *
+   * @returns {Boolean} Whether the property is write-only.
+   */
+  isWriteOnly() {
+    return this.metadata.writeOnly === true;
+  }
+
+  /**
+   * Determine whether clients are notified of changes of the property.
+   *
+   * @returns {Boolean} Whether the property is observable.
+   */
+  isObservable() {
+    return this.metadata.observable !== false && !this.isWriteOnly();
+  }
+
+  /**
+   * Determine whether the current property value is stale.
+   *
+   * @returns {Boolean} Whether the value is stale.
+   */
+  isStale() {
+    return this.value.isStale();
+  }
+
+  /**
+   * Set whether the value of this property is persisted by the thing's state
+   * store. Writable properties are persisted by default.
+   *
+   * @param {Boolean} persistent Whether to persist the value
+   */
+  setPersistent(persistent) {
+    this.persistent = persistent;
+  }
+
+  /**
+   * Determine whether the value of this property is persisted.
+   *
+   * @returns {Boolean} Whether the value is persisted.
+   */
+  isPersistent() {
+    return this.persistent && !this.metadata.readOnly;
+  }
+
+  /**
+   * Start recording the values of this property.
+   *
+   * Every change is recorded, regardless of the notification options of the
+   * value.
+   *
+   * @param {Object} options (Optional) History options, see History
+   * @returns {Object} The history.
+   */
+  enableHistory(options) {
+    if (this.history === null) {
+      this.history = new History(options);
+      this.history.record(this.getValue());
+      this.value.on('change', this.historyListener);
+    }
+
+    return this.history;
+  }
+
+  /**
+   * Get the recorded history of this property.
+   *
+   * @returns {Object|null} The history, or null if not enabled.
+   */
+  getHistory() {
+    return this.history;
   }
 
   /**
@@ -133,6 +243,21 @@ class Property {
   getMetadata() {
     return this.metadata;
   }
+
+  /**
+   * Replace the metadata associated with this property.
+   *
+   * The value schema is compiled again, and subscribers are notified of the
+   * changed description. Editing the metadata in place does not change how
+   * values are validated.
+   *
+   * @param {Object} metadata The new metadata
+   */
+  setMetadata(metadata) {
+    this.metadata = metadata || {};
+    this.validator = schema.compile(this.metadata);
+    this.thing.descriptionNotify();
+  }
 }
 
 module.exports = Property;
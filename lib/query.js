@@ -0,0 +1,222 @@
+/**
+ * Filtering and pagination of action, event and history lists.
+ */
+
+'use strict';
+
+const querystring = require('querystring');
+
+/**
+ * Parse a timestamp query parameter.
+ *
+ * @param {String} name Name of the parameter
+ * @param {String} value Value of the parameter
+ * @returns {Number} Milliseconds since the epoch.
+ */
+function parseTime(name, value) {
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    throw new Error(`Invalid ${name} parameter: ${value}`);
+  }
+
+  return time;
+}
+
+/**
+ * Parse a non-negative integer query parameter.
+ *
+ * @param {String} name Name of the parameter
+ * @param {String} value Value of the parameter
+ * @returns {Number} The integer.
+ */
+function parseCount(name, value) {
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${name} parameter: ${value}`);
+  }
+
+  return parseInt(value, 10);
+}
+
+/**
+ * Get the time of an action or event description.
+ *
+ * @param {Object} description Description, i.e. {name: {...}}
+ * @returns {Number} Milliseconds since the epoch.
+ */
+function getTime(description) {
+  const body = description[Object.keys(description)[0]];
+  return Date.parse(body.timeRequested || body.timestamp);
+}
+
+/**
+ * Get the status of an action description.
+ *
+ * @param {Object} description Description, i.e. {name: {...}}
+ * @returns {String|undefined} The status.
+ */
+function getStatus(description) {
+  return description[Object.keys(description)[0]].status;
+}
+
+module.exports = {
+  /**
+   * Parse query parameters.
+   *
+   * Supported parameters are 'since' and 'until' (timestamps), 'limit',
+   * 'offset' and 'order' ('asc' or 'desc'). Where allowed, 'status' (a
+   * comma-separated list of action statuses) and 'interval' (a sampling
+   * interval in seconds) are supported too. Unknown parameters are ignored.
+   *
+   * @param {Object} params Query parameters, i.e. name -> value
+   * @param {String[]} extra (Optional) Names of the additional parameters
+   *                         supported, i.e. 'status' or 'interval'
+   * @returns {Object} The parsed query, or null if no query was given.
+   */
+  parse: function(params, extra) {
+    extra = extra || [];
+
+    const query = {};
+    let empty = true;
+
+    const get = (name) => {
+      const value = params[name];
+      return Array.isArray(value) ? value[value.length - 1] : value;
+    };
+
+    if (typeof get('since') === 'string') {
+      query.since = parseTime('since', get('since'));
+      empty = false;
+    }
+
+    if (typeof get('until') === 'string') {
+      query.until = parseTime('until', get('until'));
+      empty = false;
+    }
+
+    if (typeof get('limit') === 'string') {
+      query.limit = parseCount('limit', get('limit'));
+      empty = false;
+    }
+
+    if (typeof get('offset') === 'string') {
+      query.offset = parseCount('offset', get('offset'));
+      empty = false;
+    }
+
+    if (typeof get('order') === 'string') {
+      if (!['asc', 'desc'].includes(get('order'))) {
+        throw new Error(`Invalid order parameter: ${get('order')}`);
+      }
+
+      query.order = get('order');
+      empty = false;
+    }
+
+    if (typeof get('status') === 'string') {
+      if (!extra.includes('status')) {
+        throw new Error('Unsupported status parameter');
+      }
+
+      query.status = get('status').split(',');
+      empty = false;
+    }
+
+    if (typeof get('interval') === 'string') {
+      if (!extra.includes('interval')) {
+        throw new Error('Unsupported interval parameter');
+      }
+
+      query.interval = parseCount('interval', get('interval'));
+      if (query.interval === 0) {
+        throw new Error('Invalid interval parameter: 0');
+      }
+
+      empty = false;
+    }
+
+    return empty ? null : query;
+  },
+
+  /**
+   * Apply a query to a list of action or event descriptions.
+   *
+   * Matching descriptions are sorted by time, oldest first unless the query
+   * asks for descending order.
+   *
+   * @param {Object[]} descriptions The descriptions
+   * @param {Object} query The parsed query, or null
+   * @returns {Object} The page of descriptions and the number of matches,
+   *                   i.e. {items, total}.
+   */
+  apply: function(descriptions, query) {
+    if (query === null) {
+      return {items: descriptions, total: descriptions.length};
+    }
+
+    let matches = descriptions.map((description, index) => {
+      return {description, index, time: getTime(description)};
+    }).filter((match) => {
+      if (query.hasOwnProperty('since') && match.time < query.since) {
+        return false;
+      }
+
+      if (query.hasOwnProperty('until') && match.time > query.until) {
+        return false;
+      }
+
+      if (query.hasOwnProperty('status') &&
+          !query.status.includes(getStatus(match.description))) {
+        return false;
+      }
+
+      return true;
+    });
+
+    // Break ties on the original position, since timestamps only have second
+    // precision.
+    const direction = query.order === 'desc' ? -1 : 1;
+    matches.sort((a, b) => direction * (a.time - b.time || a.index - b.index));
+
+    const total = matches.length;
+    const offset = query.offset || 0;
+    if (query.hasOwnProperty('limit')) {
+      matches = matches.slice(offset, offset + query.limit);
+    } else {
+      matches = matches.slice(offset);
+    }
+
+    return {items: matches.map((match) => match.description), total};
+  },
+
+  /**
+   * Build the value of a Link header pointing to adjacent pages.
+   *
+   * @param {String} path Path of the requested resource
+   * @param {Object} params The original query parameters
+   * @param {Object} query The parsed query, or null
+   * @param {Number} total Number of matching descriptions
+   * @returns {String|null} The header value, or null without pagination.
+   */
+  getLinkHeader: function(path, params, query, total) {
+    if (query === null || !query.hasOwnProperty('limit')) {
+      return null;
+    }
+
+    const offset = query.offset || 0;
+    const link = (pageOffset, rel) => {
+      const pageParams = Object.assign({}, params, {offset: pageOffset});
+      return `<${path}?${querystring.stringify(pageParams)}>; rel="${rel}"`;
+    };
+
+    const links = [];
+    if (offset + query.limit < total) {
+      links.push(link(offset + query.limit, 'next'));
+    }
+
+    if (offset > 0) {
+      links.push(link(Math.max(offset - query.limit, 0), 'prev'));
+    }
+
+    return links.length > 0 ? links.join(', ') : null;
+  },
+};
@@ -0,0 +1,47 @@
+/**
+ * Shared JSON schema validation.
+ */
+
+'use strict';
+
+const Ajv = require('ajv');
+
+// Thing metadata mixes schema keywords with others, like '@type' or 'unit',
+// which are ignored.
+const ajv = new Ajv({unknownFormats: 'ignore'});
+
+const validators = new WeakMap();
+
+module.exports = {
+  /**
+   * Get a validation function for a schema.
+   *
+   * Compiled validators are cached per schema object, so a schema is only
+   * compiled again when replaced by a new object. Changes made to a schema
+   * object after it was compiled are ignored.
+   *
+   * @param {Object} schema The schema
+   * @returns {function} Function returning whether a value is valid, and
+   *                     holding the errors of the last validation in its
+   *                     'errors' property.
+   */
+  compile: function(schema) {
+    let validate = validators.get(schema);
+    if (!validate) {
+      validate = ajv.compile(schema);
+      validators.set(schema, validate);
+    }
+
+    return validate;
+  },
+
+  /**
+   * Describe the errors of a validation.
+   *
+   * @param {function} validate The validation function
+   * @returns {String} The errors, as text.
+   */
+  errorsText: function(validate) {
+    return ajv.errorsText(validate.errors);
+  },
+};
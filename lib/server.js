@@ -11,7 +11,96 @@ const expressWs = require('express-ws');
 const http = require('http');
 const https = require('https');
 const os = require('os');
+const query = require('./query');
+const Thing = require('./thing');
 const utils = require('./utils');
+const validation = require('./validation');
+
+const TD_MEDIA_TYPE = 'application/td+json';
+
+/**
+ * Respond with a list of action or event descriptions, filtered and paginated
+ * according to the query parameters of the request.
+ *
+ * @param {Object} req The request object
+ * @param {Object} res The response object
+ * @param {Object[]} descriptions The descriptions
+ * @param {Boolean} allowStatus Whether filtering by status is supported
+ */
+function sendDescriptions(req, res, descriptions, allowStatus) {
+  let parsed;
+  try {
+    parsed = query.parse(req.query, allowStatus ? ['status'] : []);
+  } catch (e) {
+    res.status(400).end();
+    return;
+  }
+
+  const result = query.apply(descriptions, parsed);
+  const link = query.getLinkHeader(
+    `${req.baseUrl}${req.path}`, req.query, parsed, result.total);
+  if (link !== null) {
+    res.setHeader('Link', link);
+  }
+
+  res.json(result.items);
+}
+
+/**
+ * Get the description dialect asked for by a client, either with the
+ * 'dialect' query parameter or by accepting application/td+json.
+ *
+ * @param {Object} req The request object
+ * @returns {String|null} 'mozilla' or 'w3c', or null if unknown.
+ */
+function getDialect(req) {
+  if (typeof req.query.dialect === 'string') {
+    const dialect = req.query.dialect;
+    return Thing.DESCRIPTION_DIALECTS.includes(dialect) ? dialect : null;
+  }
+
+  const type = req.accepts(['application/json', TD_MEDIA_TYPE]);
+  return type === TD_MEDIA_TYPE ? 'w3c' : 'mozilla';
+}
+
+/**
+ * Describe a thing as served to a client.
+ *
+ * @param {Object} req The request object
+ * @param {Object} thing The thing
+ * @param {String} dialect The description dialect
+ * @returns {Object} The Thing Description.
+ */
+function getDescription(req, thing, dialect) {
+  const wsHref = `${req.secure ? 'wss' : 'ws'}://${req.headers.host}`;
+
+  let description;
+  if (dialect === 'w3c') {
+    description = thing.asThingDescription({
+      dialect,
+      origins: {
+        http: `${req.protocol}://${req.headers.host}`,
+        ws: wsHref,
+      },
+    });
+  } else {
+    description = thing.asThingDescription();
+    description.links.push({
+      rel: 'alternate',
+      href: `${wsHref}${thing.getHref()}`,
+    });
+  }
+
+  description.base =
+    `${req.protocol}://${req.headers.host}${thing.getHref()}`;
+  description.securityDefinitions = {
+    nosec_sc: {
+      scheme: 'nosec',
+    },
+  };
+  description.security = 'nosec_sc';
+  return description;
+}
 
 /**
  * A container for a single thing.
@@ -128,23 +217,19 @@ class ThingsHandler extends BaseHandler {
    * @param {Object} res The response object
    */
   get(req, res) {
-    const wsHref = `${req.secure ? 'wss' : 'ws'}://${req.headers.host}`;
+    const dialect = getDialect(req);
+    if (dialect === null) {
+      res.status(400).end();
+      return;
+    }
+
     res.json(
       this.things.getThings().map((thing) => {
-        const description = thing.asThingDescription();
-        description.href = thing.getHref();
-        description.links.push({
-          rel: 'alternate',
-          href: `${wsHref}${thing.getHref()}`,
-        });
-        description.base =
-          `${req.protocol}://${req.headers.host}${thing.getHref()}`;
-        description.securityDefinitions = {
-          nosec_sc: {
-            scheme: 'nosec',
-          },
-        };
-        description.security = 'nosec_sc';
+        const description = getDescription(req, thing, dialect);
+        if (dialect === 'mozilla') {
+          description.href = thing.getHref();
+        }
+
         return description;
       })
     );
@@ -168,22 +253,17 @@ class ThingHandler extends BaseHandler {
       return;
     }
 
-    const wsHref = `${req.secure ? 'wss' : 'ws'}://${req.headers.host}`;
-    const description = thing.asThingDescription();
-    description.links.push({
-      rel: 'alternate',
-      href: `${wsHref}${thing.getHref()}`,
-    });
-    description.base =
-      `${req.protocol}://${req.headers.host}${thing.getHref()}`;
-    description.securityDefinitions = {
-      nosec_sc: {
-        scheme: 'nosec',
-      },
-    };
-    description.security = 'nosec_sc';
+    const dialect = getDialect(req);
+    if (dialect === null) {
+      res.status(400).end();
+      return;
+    }
 
-    res.json(description);
+    if (dialect === 'w3c') {
+      res.type(TD_MEDIA_TYPE);
+    }
+
+    res.json(getDescription(req, thing, dialect));
   }
 
   /**
@@ -205,10 +285,25 @@ class ThingHandler extends BaseHandler {
       return;
     }
 
-    thing.addSubscriber(ws);
+    // Changed descriptions are sent as they are served over HTTP, in the
+    // dialect the client asked for.
+    const dialect = getDialect(req) || 'mozilla';
+    const subscriber = {
+      send: (message) => {
+        const parsed = JSON.parse(message);
+        if (parsed.messageType === 'thingDescriptionChanged') {
+          parsed.data = getDescription(req, thing, dialect);
+          message = JSON.stringify(parsed);
+        }
+
+        ws.send(message);
+      },
+    };
+
+    thing.addSubscriber(subscriber);
 
-    ws.on('error', () => thing.removeSubscriber(ws));
-    ws.on('close', () => thing.removeSubscriber(ws));
+    ws.on('error', () => thing.removeSubscriber(subscriber));
+    ws.on('close', () => thing.removeSubscriber(subscriber));
 
     ws.on('message', (message) => {
       try {
@@ -249,19 +344,33 @@ class ThingHandler extends BaseHandler {
       const messageType = message.messageType;
       switch (messageType) {
         case 'setProperty': {
-          for (const propertyName in message.data) {
+          let result;
+          try {
+            result = thing.setProperties(message.data);
+          } catch (e) {
+            ws.send(JSON.stringify({
+              messageType: 'error',
+              data: {
+                status: '400 Bad Request',
+                message: e.message,
+              },
+            }));
+            break;
+          }
+
+          result.catch((e) => {
             try {
-              thing.setProperty(propertyName, message.data[propertyName]);
-            } catch (e) {
               ws.send(JSON.stringify({
                 messageType: 'error',
                 data: {
-                  status: '400 Bad Request',
+                  status: '500 Internal Server Error',
                   message: e.message,
                 },
               }));
+            } catch (e2) {
+              // do nothing
             }
-          }
+          });
 
           break;
         }
@@ -272,7 +381,22 @@ class ThingHandler extends BaseHandler {
               input = message.data[actionName].input;
             }
 
-            const action = thing.performAction(actionName, input);
+            let action;
+            try {
+              action = thing.performAction(actionName, input);
+            } catch (e) {
+              const status = utils.getActionErrorStatus(e);
+              // eslint-disable-next-line object-curly-newline
+              ws.send(JSON.stringify({
+                messageType: 'error',
+                data: {
+                  status: `${status} ${http.STATUS_CODES[status]}`,
+                  message: e.message,
+                  request: message,
+                }}));
+              continue;
+            }
+
             if (action) {
               action.start();
             } else {
@@ -291,7 +415,7 @@ class ThingHandler extends BaseHandler {
         }
         case 'addEventSubscription': {
           for (const eventName in message.data) {
-            thing.addEventSubscriber(eventName, ws);
+            thing.addEventSubscriber(eventName, subscriber);
           }
 
           break;
@@ -332,8 +456,58 @@ class PropertiesHandler extends BaseHandler {
       return;
     }
 
+    if (thing.getStaleProperties().length > 0) {
+      res.setHeader('Warning', '110 - "Response is Stale"');
+    }
+
     res.json(thing.getProperties());
   }
+
+  /**
+   * Handle a PUT request, setting several properties as a unit.
+   *
+   * @param {Object} req The request object
+   * @param {Object} res The response object
+   */
+  put(req, res) {
+    const thing = this.getThing(req);
+    if (thing === null) {
+      res.status(404).end();
+      return;
+    }
+
+    const values = req.body;
+    if (!values || typeof values !== 'object' || Array.isArray(values) ||
+        Object.keys(values).length === 0) {
+      res.status(400).end();
+      return;
+    }
+
+    let result;
+    try {
+      result = thing.setProperties(values);
+    } catch (e) {
+      res.status(400).end();
+      return;
+    }
+
+    result.then(() => {
+      const response = {};
+      for (const name in values) {
+        if (!thing.findProperty(name).isWriteOnly()) {
+          response[name] = thing.getProperty(name);
+        }
+      }
+
+      if (Object.keys(response).length === 0) {
+        res.status(204).end();
+      } else {
+        res.json(response);
+      }
+    }).catch(() => {
+      res.status(500).end();
+    });
+  }
 }
 
 /**
@@ -355,6 +529,15 @@ class PropertyHandler extends BaseHandler {
 
     const propertyName = req.params.propertyName;
     if (thing.hasProperty(propertyName)) {
+      if (thing.findProperty(propertyName).isWriteOnly()) {
+        res.status(403).end();
+        return;
+      }
+
+      if (thing.findProperty(propertyName).isStale()) {
+        res.setHeader('Warning', '110 - "Response is Stale"');
+      }
+
       res.json({[propertyName]: thing.getProperty(propertyName)});
     } else {
       res.status(404).end();
@@ -381,20 +564,70 @@ class PropertyHandler extends BaseHandler {
     }
 
     if (thing.hasProperty(propertyName)) {
+      let result;
       try {
-        thing.setProperty(propertyName, req.body[propertyName]);
+        result = thing.setProperty(propertyName, req.body[propertyName]);
       } catch (e) {
         res.status(400).end();
         return;
       }
 
-      res.json({[propertyName]: thing.getProperty(propertyName)});
+      result.then(() => {
+        if (thing.findProperty(propertyName).isWriteOnly()) {
+          res.status(204).end();
+        } else {
+          res.json({[propertyName]: thing.getProperty(propertyName)});
+        }
+      }).catch(() => {
+        res.status(500).end();
+      });
     } else {
       res.status(404).end();
     }
   }
 }
 
+/**
+ * Handle a request to /properties/<property>/history.
+ */
+class PropertyHistoryHandler extends BaseHandler {
+  /**
+   * Handle a GET request.
+   *
+   * @param {Object} req The request object
+   * @param {Object} res The response object
+   */
+  get(req, res) {
+    const thing = this.getThing(req);
+    if (thing === null) {
+      res.status(404).end();
+      return;
+    }
+
+    const propertyName = req.params.propertyName;
+    const property = thing.findProperty(propertyName);
+    if (property === null || property.getHistory() === null) {
+      res.status(404).end();
+      return;
+    }
+
+    if (property.isWriteOnly()) {
+      res.status(403).end();
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = query.parse(req.query, ['interval']);
+    } catch (e) {
+      res.status(400).end();
+      return;
+    }
+
+    res.json({[propertyName]: property.getHistory().getSamples(parsed)});
+  }
+}
+
 /**
  * Handle a request to /actions.
  */
@@ -412,7 +645,7 @@ class ActionsHandler extends BaseHandler {
       return;
     }
 
-    res.json(thing.getActionDescriptions());
+    sendDescriptions(req, res, thing.getActionDescriptions(), true);
   }
 
   /**
@@ -435,10 +668,17 @@ class ActionsHandler extends BaseHandler {
         input = req.body[actionName].input;
       }
 
-      const action = thing.performAction(actionName, input);
+      let action;
+      try {
+        action = thing.performAction(actionName, input);
+      } catch (e) {
+        res.status(utils.getActionErrorStatus(e)).end();
+        return;
+      }
+
       if (action) {
-        response = Object.assign(response, action.asActionDescription());
         action.start();
+        response = Object.assign(response, action.asActionDescription());
       }
     }
 
@@ -466,7 +706,7 @@ class ActionHandler extends BaseHandler {
 
     const actionName = req.params.actionName;
 
-    res.json(thing.getActionDescriptions(actionName));
+    sendDescriptions(req, res, thing.getActionDescriptions(actionName), true);
   }
 
   /**
@@ -495,10 +735,17 @@ class ActionHandler extends BaseHandler {
         input = req.body[name].input;
       }
 
-      const action = thing.performAction(name, input);
+      let action;
+      try {
+        action = thing.performAction(name, input);
+      } catch (e) {
+        res.status(utils.getActionErrorStatus(e)).end();
+        return;
+      }
+
       if (action) {
-        response = Object.assign(response, action.asActionDescription());
         action.start();
+        response = Object.assign(response, action.asActionDescription());
       }
     }
 
@@ -569,11 +816,15 @@ class ActionIDHandler extends BaseHandler {
     const actionName = req.params.actionName;
     const actionId = req.params.actionId;
 
-    if (thing.removeAction(actionName, actionId)) {
-      res.status(204).end();
-    } else {
-      res.status(404).end();
-    }
+    thing.removeAction(actionName, actionId).then((removed) => {
+      if (removed) {
+        res.status(204).end();
+      } else {
+        res.status(404).end();
+      }
+    }).catch(() => {
+      res.status(500).end();
+    });
   }
 }
 
@@ -594,7 +845,7 @@ class EventsHandler extends BaseHandler {
       return;
     }
 
-    res.json(thing.getEventDescriptions());
+    sendDescriptions(req, res, thing.getEventDescriptions(), false);
   }
 }
 
@@ -617,7 +868,29 @@ class EventHandler extends BaseHandler {
 
     const eventName = req.params.eventName;
 
-    res.json(thing.getEventDescriptions(eventName));
+    sendDescriptions(req, res, thing.getEventDescriptions(eventName), false);
+  }
+}
+
+/**
+ * Handle a request to /model.
+ */
+class ModelHandler extends BaseHandler {
+  /**
+   * Handle a GET request.
+   *
+   * @param {Object} req The request object
+   * @param {Object} res The response object
+   */
+  get(req, res) {
+    const thing = this.getThing(req);
+    if (thing === null || thing.getModel() === null) {
+      res.status(404).end();
+      return;
+    }
+
+    res.type('application/tm+json');
+    res.json(thing.getModel().asThingModel());
   }
 }
 
@@ -639,6 +912,14 @@ class WebThingServer {
    * @param {Object[]} additionalRoutes List of additional routes to add to
    *                                    server, i.e. [{path: '..', handler: ..}]
    * @param {String} basePath Base URL path to use, rather than '/'
+   * @param {Object} options (Optional) Server options:
+   *                        - validation: whether to check the things'
+   *                          descriptions against the W3C WoT TD schema,
+   *                          one of 'off' (the default), 'warn' to log
+   *                          problems and 'strict' to throw an error
+   *                        - capabilities: whether to check the things'
+   *                          semantic types against the Mozilla capability
+   *                          schemas, with the same modes
    */
   constructor(
     things,
@@ -646,8 +927,11 @@ class WebThingServer {
     hostname = null,
     sslOptions = null,
     additionalRoutes = null,
-    basePath = '/'
+    basePath = '/',
+    options = null
   ) {
+    options = options || {};
+
     this.things = things;
     this.name = things.getName();
     this.port = Number(port) || (sslOptions ? 443 : 80);
@@ -681,6 +965,13 @@ class WebThingServer {
       things.getThing().setHrefPrefix(this.basePath);
     }
 
+    const host = `localhost:${this.port}`;
+    const origins = {
+      http: `${sslOptions ? 'https' : 'http'}://${host}`,
+      ws: `${sslOptions ? 'wss' : 'ws'}://${host}`,
+    };
+    validation.checkThings(things.getThings(), options, origins);
+
     this.app = express();
     this.app.use(bodyParser.json());
 
@@ -718,11 +1009,13 @@ class WebThingServer {
     const thingHandler = new ThingHandler(this.things);
     const propertiesHandler = new PropertiesHandler(this.things);
     const propertyHandler = new PropertyHandler(this.things);
+    const propertyHistoryHandler = new PropertyHistoryHandler(this.things);
     const actionsHandler = new ActionsHandler(this.things);
     const actionHandler = new ActionHandler(this.things);
     const actionIdHandler = new ActionIDHandler(this.things);
     const eventsHandler = new EventsHandler(this.things);
     const eventHandler = new EventHandler(this.things);
+    const modelHandler = new ModelHandler(this.things);
 
     this.router = express.Router();
 
@@ -737,10 +1030,14 @@ class WebThingServer {
       this.router.ws('/:thingId', (ws, req) => thingHandler.ws(ws, req));
       this.router.get('/:thingId/properties',
                       (req, res) => propertiesHandler.get(req, res));
+      this.router.put('/:thingId/properties',
+                      (req, res) => propertiesHandler.put(req, res));
       this.router.get('/:thingId/properties/:propertyName',
                       (req, res) => propertyHandler.get(req, res));
       this.router.put('/:thingId/properties/:propertyName',
                       (req, res) => propertyHandler.put(req, res));
+      this.router.get('/:thingId/properties/:propertyName/history',
+                      (req, res) => propertyHistoryHandler.get(req, res));
       this.router.get('/:thingId/actions',
                       (req, res) => actionsHandler.get(req, res));
       this.router.post('/:thingId/actions',
@@ -759,15 +1056,21 @@ class WebThingServer {
                       (req, res) => eventsHandler.get(req, res));
       this.router.get('/:thingId/events/:eventName',
                       (req, res) => eventHandler.get(req, res));
+      this.router.get('/:thingId/model',
+                      (req, res) => modelHandler.get(req, res));
     } else {
       this.router.get('/', (req, res) => thingHandler.get(req, res));
       this.router.ws('/', (ws, req) => thingHandler.ws(ws, req));
       this.router.get('/properties',
                       (req, res) => propertiesHandler.get(req, res));
+      this.router.put('/properties',
+                      (req, res) => propertiesHandler.put(req, res));
       this.router.get('/properties/:propertyName',
                       (req, res) => propertyHandler.get(req, res));
       this.router.put('/properties/:propertyName',
                       (req, res) => propertyHandler.put(req, res));
+      this.router.get('/properties/:propertyName/history',
+                      (req, res) => propertyHistoryHandler.get(req, res));
       this.router.get('/actions',
                       (req, res) => actionsHandler.get(req, res));
       this.router.post('/actions',
@@ -786,6 +1089,8 @@ class WebThingServer {
                       (req, res) => eventsHandler.get(req, res));
       this.router.get('/events/:eventName',
                       (req, res) => eventHandler.get(req, res));
+      this.router.get('/model',
+                      (req, res) => modelHandler.get(req, res));
     }
 
     this.app.use(this.basePath || '/', this.router);
@@ -793,7 +1098,8 @@ class WebThingServer {
   }
 
   /**
-   * Start listening for incoming connections.
+   * Start listening for incoming connections, once the persisted state of
+   * the things is restored.
    *
    * @returns {Promise} Promise which resolves once the server is started.
    */
@@ -815,19 +1121,23 @@ class WebThingServer {
     });
     this.mdns.start();
 
-    return new Promise((resolve) => {
-      this.server.listen({port: this.port}, resolve);
+    const restored = this.things.getThings().map((t) => t.restoreState());
+
+    return Promise.all(restored).then(() => {
+      return new Promise((resolve) => {
+        this.server.listen({port: this.port}, resolve);
+      });
     });
   }
 
   /**
-   * Stop listening.
+   * Stop listening, and save the state of the things.
    *
    * @param {boolean?} force - Whether or not to force shutdown immediately.
    * @returns {Promise} Promise which resolves once the server is stopped.
    */
   stop(force = false) {
-    const promises = [];
+    const promises = this.things.getThings().map((t) => t.saveState());
 
     if (this.mdns) {
       promises.push(new Promise((resolve, reject) => {
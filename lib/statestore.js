@@ -0,0 +1,113 @@
+/**
+ * Persisted thing state.
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * A state store keeping the property values of things in a JSON file, keyed
+ * by thing ID.
+ *
+ * Any object with the same load() and save() methods can be used as a state
+ * store instead, i.e. to keep state in a database.
+ */
+class FileStateStore {
+  /**
+   * Initialize the object.
+   *
+   * @param {String} file Path of the JSON file
+   */
+  constructor(file) {
+    this.file = file;
+    this.reading = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Read the state of all things from the file, once.
+   *
+   * Concurrent reads share the same state object, so that saving several
+   * things at once keeps all of them.
+   *
+   * @returns {Object} Promise which resolves to the state, i.e.
+   *                   thing ID -> property name -> value.
+   */
+  read() {
+    this.reading = this.reading || new Promise((resolve) => {
+      fs.readFile(this.file, 'utf8', (e, data) => {
+        let state = {};
+
+        if (e) {
+          if (e.code !== 'ENOENT') {
+            console.error(`Failed to read state from ${this.file}: ${e}`);
+          }
+        } else {
+          try {
+            state = JSON.parse(data);
+          } catch (e) {
+            console.error(`Ignoring invalid state in ${this.file}: ${e}`);
+          }
+        }
+
+        resolve(state);
+      });
+    });
+
+    return this.reading;
+  }
+
+  /**
+   * Load the state of a thing.
+   *
+   * @param {String} id ID of the thing
+   * @returns {Object} Promise which resolves to the stored property values,
+   *                   i.e. name -> value.
+   */
+  load(id) {
+    return this.read().then((state) => state[id] || {});
+  }
+
+  /**
+   * Save the state of a thing.
+   *
+   * The file is replaced atomically, so that a crash while writing does not
+   * lose the previous state.
+   *
+   * @param {String} id ID of the thing
+   * @param {Object} values Property values, i.e. name -> value
+   * @returns {Object} Promise which resolves once the file is written.
+   */
+  save(id, values) {
+    return this.read().then((state) => {
+      state[id] = values;
+
+      const data = JSON.stringify(state, null, 2);
+      const tmp = `${this.file}.tmp`;
+
+      this.writing = this.writing.catch(() => {}).then(() => {
+        return new Promise((resolve, reject) => {
+          fs.writeFile(tmp, data, (e) => {
+            if (e) {
+              reject(e);
+              return;
+            }
+
+            fs.rename(tmp, this.file, (e) => {
+              if (e) {
+                reject(e);
+              } else {
+                resolve();
+              }
+            });
+          });
+        });
+      });
+
+      return this.writing;
+    });
+  }
+}
+
+module.exports = FileStateStore;
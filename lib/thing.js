@@ -4,8 +4,75 @@
 
 'use strict';
 
-const Ajv = require('ajv');
-const ajv = new Ajv();
+const Action = require('./action');
+const forms = require('./forms');
+const Property = require('./property');
+const Value = require('./value');
+const schema = require('./schema');
+const utils = require('./utils');
+
+const ACTION_POLICIES = ['parallel', 'queue', 'reject', 'replace'];
+
+const EVENT_VALIDATION_MODES = ['off', 'warn', 'strict'];
+
+const DESCRIPTION_DIALECTS = ['mozilla', 'w3c'];
+
+const DEFAULT_CONTEXT = 'https://iot.mozilla.org/schemas';
+
+const TD_CONTEXT = 'https://www.w3.org/2022/wot/td/v1.1';
+
+const TD_CONTEXTS = [TD_CONTEXT, 'https://www.w3.org/2019/wot/td/v1'];
+
+// Terms of an event affordance, as opposed to terms of its data schema.
+const EVENT_TERMS = ['@type', 'title', 'titles', 'description', 'descriptions'];
+
+const DEFAULT_RETENTION = {
+  maxCount: 100,
+  maxAge: null,
+};
+
+/**
+ * Copy the metadata of an interaction affordance from a Thing Description,
+ * leaving out the hyperlinks generated for the thing it was taken from.
+ *
+ * @param {Object} affordance The property, action or event description
+ * @returns {Object} The metadata.
+ */
+function getAffordanceMetadata(affordance) {
+  const metadata = utils.clone(affordance || {});
+  delete metadata.links;
+  delete metadata.forms;
+  return metadata;
+}
+
+/**
+ * Create an action class from an action implementation.
+ *
+ * @param {String} name Name of the action
+ * @param {function|Object} handler Action class, or function called with the
+ *                                  input and the action and returning a
+ *                                  promise, or undefined if not implemented
+ * @returns {Object} The action class.
+ */
+function getActionClass(name, handler) {
+  if (typeof handler === 'function' && handler.prototype instanceof Action) {
+    return handler;
+  }
+
+  return class extends Action {
+    constructor(thing, input) {
+      super(utils.generateId(), thing, name, input);
+    }
+
+    performAction() {
+      if (typeof handler !== 'function') {
+        return Promise.reject(new Error(`Action not implemented: ${name}`));
+      }
+
+      return handler(this.input, this);
+    }
+  };
+}
 
 /**
  * A Web Thing.
@@ -26,7 +93,7 @@ class Thing {
 
     this.id = id;
     this.title = title;
-    this.context = 'https://iot.mozilla.org/schemas';
+    this.context = DEFAULT_CONTEXT;
     this.type = type || [];
     this.description = description || '';
     this.properties = {};
@@ -37,14 +104,104 @@ class Thing {
     this.subscribers = new Set();
     this.hrefPrefix = '';
     this.uiHref = null;
+    this.retention = Object.assign({}, DEFAULT_RETENTION);
+    this.eventValidation = 'warn';
+    this.stateStore = null;
+    this.stateDelay = 1000;
+    this.stateTimer = null;
+    this.propertyBatches = new Set();
+    this.model = null;
+  }
+
+  /**
+   * Create a thing from a Thing Description.
+   *
+   * Property values are held by new Value objects, unless one is given, and
+   * start out with the default of their schema, if any. Actions without an
+   * implementation fail when requested.
+   *
+   * @param {Object} td The Thing Description
+   * @param {Object} handlers (Optional) Implementations, bound by name:
+   *                          - properties: name -> Value, or
+   *                            {value, forwarder, options} to create one
+   *                          - actions: name -> Action class, or function
+   *                            called with the input and the action and
+   *                            returning a promise
+   * @returns {Object} The thing.
+   */
+  static fromDescription(td, handlers) {
+    handlers = handlers || {};
+    const propertyHandlers = handlers.properties || {};
+    const actionHandlers = handlers.actions || {};
+
+    const thing = new Thing(td.id,
+                            td.title,
+                            td['@type'] || [],
+                            td.description);
+
+    if (td.hasOwnProperty('@context')) {
+      thing.setContext(td['@context']);
+    }
+
+    for (const name in td.properties || {}) {
+      const metadata = getAffordanceMetadata(td.properties[name]);
+      let value = propertyHandlers[name];
+
+      if (!(value instanceof Value)) {
+        const options = value || {};
+
+        let initial = null;
+        if (options.hasOwnProperty('value')) {
+          initial = options.value;
+        } else if (metadata.hasOwnProperty('default')) {
+          initial = metadata.default;
+        }
+
+        value = new Value(initial, options.forwarder, options.options);
+      }
+
+      thing.addProperty(new Property(thing, name, value, metadata));
+    }
+
+    for (const name in td.actions || {}) {
+      thing.addAvailableAction(
+        name,
+        getAffordanceMetadata(td.actions[name]),
+        getActionClass(name, actionHandlers[name]));
+    }
+
+    for (const name in td.events || {}) {
+      thing.addAvailableEvent(name, getAffordanceMetadata(td.events[name]));
+    }
+
+    return thing;
   }
 
   /**
    * Return the thing state as a Thing Description.
    *
+   * @param {Object} options (Optional) Description options:
+   *                         - dialect: 'mozilla' (the default) for the legacy
+   *                           Mozilla format, with links, or 'w3c' for the
+   *                           W3C WoT TD 1.1 format, with forms
+   *                         - origins: origins of the protocols to generate
+   *                           forms for in the W3C format, i.e.
+   *                           {http: 'http://host:8888', ws: 'ws://host:8888',
+   *                           coap: 'coap://host'}
    * @returns {Object} Current thing state
    */
-  asThingDescription() {
+  asThingDescription(options) {
+    options = options || {};
+
+    const dialect = options.dialect || 'mozilla';
+    if (!DESCRIPTION_DIALECTS.includes(dialect)) {
+      throw new Error(`Unknown description dialect: ${dialect}`);
+    }
+
+    if (dialect === 'w3c') {
+      return this.asW3cThingDescription(options.origins || {});
+    }
+
     const thing = {
       id: this.id,
       title: this.title,
@@ -97,6 +254,96 @@ class Thing {
       });
     }
 
+    if (this.model) {
+      thing.links.push({
+        rel: 'type',
+        mediaType: 'application/tm+json',
+        href: `${this.hrefPrefix}/model`,
+      });
+    }
+
+    if (this.description) {
+      thing.description = this.description;
+    }
+
+    return thing;
+  }
+
+  /**
+   * Return the thing state as a W3C WoT TD 1.1 Thing Description.
+   *
+   * @param {Object} origins Origins of the protocols to generate forms for
+   * @returns {Object} Current thing state
+   */
+  asW3cThingDescription(origins) {
+    const thing = {
+      '@context': [TD_CONTEXT].concat(this.context),
+      id: this.id,
+      title: this.title,
+      '@type': this.type,
+      securityDefinitions: {
+        nosec_sc: {
+          scheme: 'nosec',
+        },
+      },
+      security: 'nosec_sc',
+      properties: this.getPropertyDescriptions({dialect: 'w3c', origins}),
+      actions: {},
+      events: {},
+      forms: forms.thing(this, origins),
+    };
+
+    for (const name in this.availableActions) {
+      const action =
+        getAffordanceMetadata(this.availableActions[name].metadata);
+      action.forms = forms.action(this, name, origins);
+      thing.actions[name] = action;
+    }
+
+    for (const name in this.availableEvents) {
+      let event = getAffordanceMetadata(this.availableEvents[name].metadata);
+
+      // Legacy event metadata doubles as the data schema.
+      if (!event.hasOwnProperty('data')) {
+        const data = event;
+        event = {};
+        for (const term of EVENT_TERMS) {
+          if (data.hasOwnProperty(term)) {
+            event[term] = data[term];
+            delete data[term];
+          }
+        }
+
+        if (Object.keys(data).length > 0) {
+          event.data = data;
+        }
+      }
+
+      event.forms = forms.event(this, name, origins);
+      thing.events[name] = event;
+    }
+
+    const links = [];
+    if (this.uiHref) {
+      links.push({
+        rel: 'alternate',
+        type: 'text/html',
+        href: this.uiHref,
+      });
+    }
+
+    if (this.model) {
+      links.push({
+        rel: 'type',
+        type: 'application/tm+json',
+        href: `${this.hrefPrefix}/model`,
+      });
+    }
+
+    if (links.length > 0) {
+      thing.links = links;
+    }
+
     if (this.description) {
       thing.description = this.description;
     }
@@ -145,6 +392,26 @@ class Thing {
     }
   }
 
+  /**
+   * Get the Thing Model this thing was instantiated from.
+   *
+   * @returns {Object|null} The ThingModel, or null if none.
+   */
+  getModel() {
+    return this.model;
+  }
+
+  /**
+   * Set the Thing Model this thing belongs to, which is linked from its
+   * description and served along with it.
+   *
+   * @param {Object} model The ThingModel
+   */
+  setModel(model) {
+    this.model = model;
+    this.descriptionNotify();
+  }
+
   /**
    * Set the href of this thing's custom UI.
    *
@@ -175,12 +442,74 @@ class Thing {
   /**
    * Get the type context of the thing.
    *
-   * @returns {String} The context.
+   * @returns {String|Object|Array} The context.
    */
   getContext() {
     return this.context;
   }
 
+  /**
+   * Set the type context of the thing.
+   *
+   * The W3C WoT TD context is left out, as it is only part of descriptions
+   * in the W3C dialect. A context without any other entry falls back to the
+   * Mozilla schemas.
+   *
+   * @param {String|Object|Array} context The context: a vocabulary IRI, an
+   *                                      object mapping prefixes to
+   *                                      vocabulary IRIs, i.e.
+   *                                      {saref: 'https://w3id.org/saref#'},
+   *                                      or an array of these
+   */
+  setContext(context) {
+    const entries = [].concat(context).filter((c) => !TD_CONTEXTS.includes(c));
+    for (const entry of entries) {
+      if (typeof entry !== 'string' &&
+          (!entry || typeof entry !== 'object' || Array.isArray(entry))) {
+        throw new Error(`Invalid context: ${JSON.stringify(entry)}`);
+      }
+    }
+
+    if (entries.length === 0) {
+      entries.push(DEFAULT_CONTEXT);
+    }
+
+    this.context = entries.length === 1 ? entries[0] : entries;
+    this.descriptionNotify();
+  }
+
+  /**
+   * Add a prefixed vocabulary to the type context of the thing, so that its
+   * terms can be used as types, i.e. 'saref:Switch'.
+   *
+   * @param {String} prefix The prefix, i.e. 'saref'
+   * @param {String} iri The vocabulary IRI, i.e. 'https://w3id.org/saref#'
+   */
+  addVocabulary(prefix, iri) {
+    const context = [].concat(this.context);
+
+    let prefixes = context.find((c) => typeof c === 'object');
+    if (!prefixes) {
+      prefixes = {};
+      context.push(prefixes);
+    }
+
+    prefixes[prefix] = iri;
+    this.setContext(context);
+  }
+
+  /**
+   * Expand a prefixed type into a full IRI, using the vocabularies of the
+   * thing's context.
+   *
+   * @param {String} type The type, i.e. 'saref:Switch'
+   * @returns {String} The expanded type, i.e. 'https://w3id.org/saref#Switch',
+   *                   or the type itself if it has no known prefix.
+   */
+  expandType(type) {
+    return utils.expandType(type, this.context);
+  }
+
   /**
    * Get the type(s) of the thing.
    *
@@ -199,15 +528,207 @@ class Thing {
     return this.description;
   }
 
+  /**
+   * Set the default retention policy for finished actions and past events.
+   *
+   * The policy applies to each action and event type separately, unless the
+   * type was registered with a policy of its own.
+   *
+   * @param {Object} policy Retention policy:
+   *                        - maxCount: number of entries to keep per type, or
+   *                          null for no limit (defaults to 100)
+   *                        - maxAge: age in milliseconds after which entries
+   *                          are dropped, or null for no limit (the default)
+   */
+  setRetentionPolicy(policy) {
+    this.retention = Object.assign({}, DEFAULT_RETENTION, policy);
+  }
+
+  /**
+   * Get the retention policy of an action or event type.
+   *
+   * @param {Object} types The available actions or events
+   * @param {String} name Name of the action or event type
+   * @returns {Object} The retention policy.
+   */
+  getRetentionPolicy(types, name) {
+    if (types.hasOwnProperty(name) && types[name].retention) {
+      return types[name].retention;
+    }
+
+    return this.retention;
+  }
+
+  /**
+   * Set the store which persists the values of writable properties.
+   *
+   * @param {Object} store State store, i.e. a FileStateStore, or null to stop
+   *                       persisting state
+   * @param {Object} options (Optional) Persistence options:
+   *                         - delay: milliseconds to wait after a change
+   *                           before saving, so that changes in quick
+   *                           succession are saved at once (defaults to 1000)
+   */
+  setStateStore(store, options) {
+    options = options || {};
+
+    this.stateStore = store;
+    if (options.hasOwnProperty('delay')) {
+      this.stateDelay = options.delay;
+    }
+  }
+
+  /**
+   * Restore the persisted values of writable properties.
+   *
+   * Values are set like client writes, so they reach value forwarders. Values
+   * which are no longer valid are skipped.
+   *
+   * @returns {Object} Promise which resolves once the values are restored.
+   */
+  restoreState() {
+    if (!this.stateStore) {
+      return Promise.resolve();
+    }
+
+    return this.stateStore.load(this.id).then((values) => {
+      const promises = [];
+
+      for (const name in values) {
+        const property = this.findProperty(name);
+        if (!property || !property.isPersistent()) {
+          continue;
+        }
+
+        promises.push(Promise.resolve().then(() => {
+          return property.setValue(values[name]);
+        }).catch((e) => {
+          console.warn(`${this.title}: Failed to restore ${name}: ${e}`);
+        }));
+      }
+
+      return Promise.all(promises);
+    });
+  }
+
+  /**
+   * Save the values of writable properties right away.
+   *
+   * @returns {Object} Promise which resolves once the values are saved.
+   */
+  saveState() {
+    if (this.stateTimer !== null) {
+      clearTimeout(this.stateTimer);
+      this.stateTimer = null;
+    }
+
+    if (!this.stateStore) {
+      return Promise.resolve();
+    }
+
+    const values = {};
+    for (const name in this.properties) {
+      const property = this.properties[name];
+      if (property.isPersistent()) {
+        values[name] = property.getValue();
+      }
+    }
+
+    return this.stateStore.save(this.id, values);
+  }
+
+  /**
+   * Save the values of writable properties once the persistence delay has
+   * passed, unless a save is already pending.
+   */
+  scheduleStateSave() {
+    if (!this.stateStore || this.stateTimer !== null) {
+      return;
+    }
+
+    this.stateTimer = setTimeout(() => {
+      this.stateTimer = null;
+      this.saveState().catch((e) => {
+        console.error(`${this.title}: Failed to save state: ${e}`);
+      });
+    }, this.stateDelay);
+  }
+
+  /**
+   * Drop finished actions exceeding the retention policy of their type.
+   */
+  pruneActions() {
+    const now = Date.now();
+
+    for (const name in this.actions) {
+      const policy = this.getRetentionPolicy(this.availableActions, name);
+      const finished = this.actions[name].filter((a) => a.isFinished());
+
+      const expired = new Set();
+      if (policy.maxAge !== null) {
+        for (const action of finished) {
+          if (now - Date.parse(action.getTimeCompleted()) > policy.maxAge) {
+            expired.add(action);
+          }
+        }
+      }
+
+      if (policy.maxCount !== null) {
+        const kept = finished.filter((a) => !expired.has(a));
+        const excess = Math.max(kept.length - policy.maxCount, 0);
+        for (const action of kept.slice(0, excess)) {
+          expired.add(action);
+        }
+      }
+
+      if (expired.size > 0) {
+        this.actions[name] = this.actions[name].filter((a) => !expired.has(a));
+      }
+    }
+  }
+
+  /**
+   * Drop past events exceeding the retention policy of their type.
+   */
+  pruneEvents() {
+    const now = Date.now();
+    const counts = {};
+    const kept = [];
+
+    // Walk backwards so that the newest events of each type are kept.
+    for (let i = this.events.length - 1; i >= 0; --i) {
+      const event = this.events[i];
+      const name = event.getName();
+      const policy = this.getRetentionPolicy(this.availableEvents, name);
+
+      if (policy.maxAge !== null &&
+          now - Date.parse(event.getTime()) > policy.maxAge) {
+        continue;
+      }
+
+      counts[name] = (counts[name] || 0) + 1;
+      if (policy.maxCount !== null && counts[name] > policy.maxCount) {
+        continue;
+      }
+
+      kept.push(event);
+    }
+
+    this.events = kept.reverse();
+  }
+
   /**
    * Get the thing's properties as an object.
    *
+   * @param {Object} options (Optional) Description options, see
+   *                         asThingDescription()
    * @returns {Object} Properties, i.e. name -> description
    */
-  getPropertyDescriptions() {
+  getPropertyDescriptions(options) {
     const descriptions = {};
     for (const name in this.properties) {
-      descriptions[name] = this.properties[name].asPropertyDescription();
+      descriptions[name] =
+        this.properties[name].asPropertyDescription(options);
     }
 
     return descriptions;
@@ -221,6 +742,8 @@ class Thing {
    * @returns {Object} Action descriptions.
    */
   getActionDescriptions(actionName) {
+    this.pruneActions();
+
     const descriptions = [];
 
     if (!actionName) {
@@ -246,6 +769,8 @@ class Thing {
    * @returns {Object} Event descriptions.
    */
   getEventDescriptions(eventName) {
+    this.pruneEvents();
+
     if (!eventName) {
       return this.events.map((e) => e.asEventDescription());
     } else {
@@ -258,11 +783,19 @@ class Thing {
   /**
    * Add a property to this thing.
    *
+   * A property with the same name is detached from its value and replaced.
+   *
    * @param {Object} property Property to add
    */
   addProperty(property) {
+    const existing = this.properties[property.name];
+    if (existing && existing !== property) {
+      existing.detach();
+    }
+
     property.setHrefPrefix(this.hrefPrefix);
     this.properties[property.name] = property;
+    this.descriptionNotify();
   }
 
   /**
@@ -272,7 +805,9 @@ class Thing {
    */
   removeProperty(property) {
     if (this.properties.hasOwnProperty(property.name)) {
+      this.properties[property.name].detach();
       delete this.properties[property.name];
+      this.descriptionNotify();
     }
   }
 
@@ -310,17 +845,31 @@ class Thing {
   /**
    * Get a mapping of all properties and their values.
    *
-   * Returns an object of propertyName -> value.
+   * Returns an object of propertyName -> value, leaving out write-only
+   * properties.
    */
   getProperties() {
     const props = {};
     for (const name in this.properties) {
-      props[name] = this.properties[name].getValue();
+      if (!this.properties[name].isWriteOnly()) {
+        props[name] = this.properties[name].getValue();
+      }
     }
 
     return props;
   }
 
+  /**
+   * Get the names of the properties whose values are stale.
+   *
+   * @returns {String[]} The property names.
+   */
+  getStaleProperties() {
+    return Object.keys(this.properties).filter(
+      (name) => this.properties[name].isStale()
+    );
+  }
+
   /**
    * Determine whether or not this thing has a given property.
    *
@@ -335,16 +884,86 @@ class Thing {
   /**
    * Set a property value.
    *
+   * Throws an error if the value is invalid.
+   *
    * @param {String} propertyName Name of the property to set
    * @param {*} value Value to set
+   * @returns {Object} Promise which resolves once the value is set, or rejects
+   *                   if the thing failed to take it over.
    */
   setProperty(propertyName, value) {
     const prop = this.findProperty(propertyName);
     if (!prop) {
-      return;
+      return Promise.resolve();
     }
 
-    prop.setValue(value);
+    return prop.setValue(value);
+  }
+
+  /**
+   * Set several property values as a unit.
+   *
+   * All values are validated before any is set, and throws an error if a
+   * property is unknown or a value is invalid. If the thing fails to take
+   * over one of the values, the others are set back to their previous value.
+   * Subscribers are sent a single propertyStatus message for all changes.
+   *
+   * @param {Object} values Values to set, i.e. name -> value
+   * @returns {Object} Promise which resolves once the values are set, or
+   *                   rejects if the thing failed to take them over.
+   */
+  setProperties(values) {
+    const properties = [];
+    for (const name in values) {
+      const property = this.findProperty(name);
+      if (!property) {
+        throw new Error(`Unknown property: ${name}`);
+      }
+
+      property.validateValue(values[name]);
+      properties.push(property);
+    }
+
+    const batch = new Map();
+    for (const property of properties) {
+      batch.set(property, {previous: property.getValue(), changed: false});
+    }
+
+    this.propertyBatches.add(batch);
+
+    let error = null;
+    const results = properties.map((property) => {
+      return property.value.set(values[property.name]).then(() => true, (e) => {
+        error = error || e;
+        return false;
+      });
+    });
+
+    return Promise.all(results).then((set) => {
+      if (error === null) {
+        return;
+      }
+
+      const rollbacks = properties.filter((p, i) => set[i]).map((property) => {
+        return property.value.set(batch.get(property).previous).catch((e) => {
+          const name = property.name;
+          console.error(`${this.title}: Failed to reset ${name}: ${e}`);
+        });
+      });
+
+      return Promise.all(rollbacks);
+    }).then(() => {
+      this.propertyBatches.delete(batch);
+      this.sendPropertyStatus(properties.filter((property) => {
+        const state = batch.get(property);
+        return state.changed &&
+          !utils.deepEqual(property.getValue(), state.previous);
+      }));
+
+      if (error !== null) {
+        throw error;
+      }
+    });
   }
 
   /**
@@ -369,13 +988,65 @@ class Thing {
   }
 
 
+  /**
+   * Set how events are checked against their declarations.
+   *
+   * @param {String} mode 'off' to skip validation, 'warn' to log invalid or
+   *                      undeclared events (the default) and 'strict' to
+   *                      reject them
+   */
+  setEventValidation(mode) {
+    if (!EVENT_VALIDATION_MODES.includes(mode)) {
+      throw new Error(`Unknown event validation mode: ${mode}`);
+    }
+
+    this.eventValidation = mode;
+  }
+
+  /**
+   * Check an event against its declaration.
+   *
+   * Event metadata doubles as the schema of the event data, unless it holds
+   * a separate 'data' schema.
+   *
+   * @param {Object} event The event to check
+   * @returns {String|null} Description of the problem, or null if valid.
+   */
+  validateEvent(event) {
+    const name = event.getName();
+    if (!this.availableEvents.hasOwnProperty(name)) {
+      return `Undeclared event: ${name}`;
+    }
+
+    const validator = this.availableEvents[name].validator;
+    if (!validator(event.getData())) {
+      return `Invalid data for event ${name}: ${schema.errorsText(validator)}`;
+    }
+
+    return null;
+  }
+
   /**
    * Add a new event and notify subscribers.
    *
+   * Throws an error if event validation is strict and the event is invalid.
+   *
    * @param {Object} event The event that occurred
    */
   addEvent(event) {
+    if (this.eventValidation !== 'off') {
+      const problem = this.validateEvent(event);
+      if (problem !== null) {
+        if (this.eventValidation === 'strict') {
+          throw new Error(problem);
+        }
+
+        console.warn(`${this.title}: ${problem}`);
+      }
+    }
+
     this.events.push(event);
+    this.pruneEvents();
     this.eventNotify(event);
   }
 
@@ -385,21 +1056,78 @@ class Thing {
    * @param {String} name Name of the event
    * @param {Object} metadata Event metadata, i.e. type, description, etc., as
    *                          an object.
+   * @param {Object} options (Optional) Event options:
+   *                         - retention: retention policy for past events of
+   *                           this type, see setRetentionPolicy()
    */
-  addAvailableEvent(name, metadata) {
+  addAvailableEvent(name, metadata, options) {
     if (!metadata) {
       metadata = {};
     }
 
+    options = options || {};
+
+    const existing = this.availableEvents[name];
+
     this.availableEvents[name] = {
       metadata: metadata,
-      subscribers: new Set(),
+      validator: schema.compile(
+        metadata.hasOwnProperty('data') ? metadata.data : metadata),
+      subscribers: existing ? existing.subscribers : new Set(),
+      retention: options.retention ?
+        Object.assign({}, DEFAULT_RETENTION, options.retention) :
+        null,
     };
+    this.descriptionNotify();
+  }
+
+  /**
+   * Remove an available event.
+   *
+   * Past events of this type are dropped along with it.
+   *
+   * @param {String} name Name of the event
+   */
+  removeAvailableEvent(name) {
+    if (!this.availableEvents.hasOwnProperty(name)) {
+      return;
+    }
+
+    delete this.availableEvents[name];
+    this.events = this.events.filter((e) => e.getName() !== name);
+    this.descriptionNotify();
+  }
+
+  /**
+   * Replace the metadata of an available event.
+   *
+   * The data schema is compiled again, and subscribers are notified of the
+   * changed description. Editing the metadata in place does not change how
+   * events are validated.
+   *
+   * @param {String} name Name of the event
+   * @param {Object} metadata The new metadata
+   */
+  setEventMetadata(name, metadata) {
+    if (!this.availableEvents.hasOwnProperty(name)) {
+      throw new Error(`Unknown event: ${name}`);
+    }
+
+    metadata = metadata || {};
+
+    const event = this.availableEvents[name];
+    event.metadata = metadata;
+    event.validator = schema.compile(
+      metadata.hasOwnProperty('data') ? metadata.data : metadata);
+    this.descriptionNotify();
   }
 
   /**
    * Perform an action on the thing.
    *
+   * Throws an error with code 'ACTION_BUSY' or 'ACTION_LIMIT_REACHED' if the
+   * concurrency policy of the action type rejects the request.
+   *
    * @param {String} actionName Name of the action
    * @param {Object} input Any action inputs
    * @returns {Object} The action that was created.
@@ -413,10 +1141,38 @@ class Thing {
 
     const actionType = this.availableActions[actionName];
 
-    if (actionType.metadata.hasOwnProperty('input')) {
-      const valid = ajv.validate(actionType.metadata.input, input);
-      if (!valid) {
-        return;
+    if (actionType.inputValidator && !actionType.inputValidator(input)) {
+      return;
+    }
+
+    const running = this.getRunningActions(actionName);
+    switch (actionType.policy) {
+      case 'parallel': {
+        if (running.length >= actionType.maxConcurrency) {
+          const error = new Error(`Too many ${actionName} actions running`);
+          error.code = 'ACTION_LIMIT_REACHED';
+          throw error;
+        }
+
+        break;
+      }
+      case 'reject': {
+        if (running.length >= actionType.maxConcurrency) {
+          const error = new Error(`Action ${actionName} is busy`);
+          error.code = 'ACTION_BUSY';
+          throw error;
+        }
+
+        break;
+      }
+      case 'replace': {
+        for (const previous of this.actions[actionName]) {
+          if (!previous.isFinished()) {
+            previous.abort().catch(() => {});
+          }
+        }
+
+        break;
       }
     }
 
@@ -424,31 +1180,147 @@ class Thing {
     action.setHrefPrefix(this.hrefPrefix);
     this.actionNotify(action);
     this.actions[actionName].push(action);
+    this.pruneActions();
     return action;
   }
 
   /**
-   * Remove an existing action.
+   * Get the actions of a type which are running or about to run.
+   *
+   * @param {String} actionName Name of the action type
+   * @returns {Object[]} The unfinished actions which are not queued.
+   */
+  getRunningActions(actionName) {
+    if (!this.actions.hasOwnProperty(actionName)) {
+      return [];
+    }
+
+    return this.actions[actionName].filter(
+      (action) => !action.isFinished() && action.getStatus() !== 'queued'
+    );
+  }
+
+  /**
+   * Get the name of the action type an action was created for.
+   *
+   * @param {Object} action The action
+   * @returns {String|null} The action type name, or null if not found.
+   */
+  getActionType(action) {
+    for (const name in this.actions) {
+      if (this.actions[name].includes(action)) {
+        return name;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Determine whether the concurrency policy of an action's type allows it
+   * to start now.
+   *
+   * @param {Object} action The action about to start
+   * @returns {Boolean} Whether or not the action may start.
+   */
+  canStartAction(action) {
+    const actionName = this.getActionType(action);
+    if (actionName === null || !this.availableActions[actionName]) {
+      return true;
+    }
+
+    // Replaced actions keep running until they are cancelled, so the new
+    // action waits for them like a queued one.
+    const actionType = this.availableActions[actionName];
+    if (actionType.policy !== 'queue' && actionType.policy !== 'replace') {
+      return true;
+    }
+
+    const others = this.getRunningActions(actionName).filter(
+      (other) => other !== action
+    );
+    return others.length < actionType.maxConcurrency;
+  }
+
+  /**
+   * Start queued actions of the same type as an action that just finished,
+   * as far as the concurrency policy allows.
+   *
+   * @param {Object} action The action that finished
+   */
+  startQueuedActions(action) {
+    const actionName = this.getActionType(action);
+    if (actionName === null) {
+      return;
+    }
+
+    for (const queued of this.actions[actionName]) {
+      if (queued.getStatus() !== 'queued') {
+        continue;
+      }
+
+      if (!this.canStartAction(queued)) {
+        break;
+      }
+
+      queued.run();
+    }
+  }
+
+  /**
+   * Determine whether an action type declares an output schema.
+   *
+   * @param {String} actionName Name of the action
+   * @returns {Boolean} Whether actions of this type have an output.
+   */
+  hasActionOutput(actionName) {
+    return this.availableActions.hasOwnProperty(actionName) &&
+      this.availableActions[actionName].outputValidator !== null;
+  }
+
+  /**
+   * Validate the output of an action against its declared schema.
+   *
+   * @param {String} actionName Name of the action
+   * @param {*} output The output to validate
+   * @returns {Boolean} Whether or not the output is valid.
+   */
+  validateActionOutput(actionName, output) {
+    if (!this.availableActions.hasOwnProperty(actionName)) {
+      return true;
+    }
+
+    const actionType = this.availableActions[actionName];
+
+    if (actionType.outputValidator) {
+      return actionType.outputValidator(output);
+    }
+
+    return true;
+  }
+
+  /**
+   * Cancel and remove an existing action.
    *
    * @param {String} actionName Name of the action
    * @param {String} actionId ID of the action
-   * @returns boolean indicating the presence of the action.
+   * @returns {Object} Promise which resolves to a boolean indicating the
+   *                   presence of the action, once it has been cancelled.
    */
   removeAction(actionName, actionId) {
     const action = this.getAction(actionName, actionId);
     if (action === null) {
-      return false;
+      return Promise.resolve(false);
     }
 
-    action.cancel();
-    for (let i = 0; i < this.actions[actionName].length; ++i) {
-      if (this.actions[actionName][i].id === actionId) {
-        this.actions[actionName].splice(i, 1);
-        break;
+    return action.abort().then(() => {
+      const index = this.actions[actionName].indexOf(action);
+      if (index >= 0) {
+        this.actions[actionName].splice(index, 1);
       }
-    }
 
-    return true;
+      return true;
+    });
   }
 
   /**
@@ -458,17 +1330,110 @@ class Thing {
    * @param {Object} metadata Action metadata, i.e. type, description, etc., as
    *                          an object.
    * @param {Object} cls Class to instantiate for this action
+   * @param {Object} options (Optional) Concurrency options:
+   *                         - policy: 'parallel' (default) runs actions side
+   *                           by side, 'queue' runs them one after another,
+   *                           'reject' refuses new actions while busy and
+   *                           'replace' cancels unfinished actions, starting
+   *                           the new one once they are cancelled
+   *                         - maxConcurrency: number of actions allowed to
+   *                           run at once, unlimited for 'parallel' and 1
+   *                           otherwise by default
+   *                         - retention: retention policy for finished actions
+   *                           of this type, see setRetentionPolicy()
    */
-  addAvailableAction(name, metadata, cls) {
+  addAvailableAction(name, metadata, cls, options) {
     if (!metadata) {
       metadata = {};
     }
 
+    options = options || {};
+
+    const policy = options.policy || 'parallel';
+    if (!ACTION_POLICIES.includes(policy)) {
+      throw new Error(`Unknown action policy: ${policy}`);
+    }
+
+    let maxConcurrency = policy === 'parallel' ? Infinity : 1;
+    if (options.hasOwnProperty('maxConcurrency')) {
+      maxConcurrency = options.maxConcurrency;
+    }
+
     this.availableActions[name] = {
       metadata: metadata,
       class: cls,
+      inputValidator: metadata.hasOwnProperty('input') ?
+        schema.compile(metadata.input) :
+        null,
+      outputValidator: metadata.hasOwnProperty('output') ?
+        schema.compile(metadata.output) :
+        null,
+      policy,
+      maxConcurrency,
+      retention: options.retention ?
+        Object.assign({}, DEFAULT_RETENTION, options.retention) :
+        null,
     };
-    this.actions[name] = [];
+
+    if (!this.actions.hasOwnProperty(name)) {
+      this.actions[name] = [];
+    }
+
+    this.descriptionNotify();
+  }
+
+  /**
+   * Remove an available action.
+   *
+   * Unfinished actions of this type are cancelled, and all actions of this
+   * type are dropped.
+   *
+   * @param {String} name Name of the action
+   * @returns {Object} Promise which resolves once the unfinished actions are
+   *                   cancelled.
+   */
+  removeAvailableAction(name) {
+    if (!this.availableActions.hasOwnProperty(name)) {
+      return Promise.resolve();
+    }
+
+    const actions = this.actions[name] || [];
+    delete this.availableActions[name];
+    delete this.actions[name];
+    this.descriptionNotify();
+
+    return Promise.all(
+      actions.filter((action) => !action.isFinished())
+        .map((action) => action.abort().catch(() => {}))
+    ).then(() => {});
+  }
+
+  /**
+   * Replace the metadata of an available action.
+   *
+   * The input and output schemas are compiled again, and subscribers are
+   * notified of the changed description. Editing the metadata in place does
+   * not change how inputs and outputs are validated.
+   *
+   * @param {String} name Name of the action
+   * @param {Object} metadata The new metadata
+   */
+  setActionMetadata(name, metadata) {
+    if (!this.availableActions.hasOwnProperty(name)) {
+      throw new Error(`Unknown action: ${name}`);
+    }
+
+    metadata = metadata || {};
+
+    const action = this.availableActions[name];
+    action.metadata = metadata;
+    action.inputValidator = metadata.hasOwnProperty('input') ?
+      schema.compile(metadata.input) :
+      null;
+    action.outputValidator = metadata.hasOwnProperty('output') ?
+      schema.compile(metadata.output) :
+      null;
+    this.descriptionNotify();
   }
 
   /**
@@ -521,16 +1486,82 @@ class Thing {
   }
 
   /**
-   * Notify all subscribers of a property change.
+   * Notify all subscribers of a property change, unless the property is not
+   * observable, and schedule saving the state of persistent properties.
+   *
+   * Changes to properties being set together by setProperties() are held
+   * back and notified at once.
    *
    * @param {Object} property The property that changed
    */
   propertyNotify(property) {
-    const message = JSON.stringify({
+    if (property.isPersistent()) {
+      this.scheduleStateSave();
+    }
+
+    for (const batch of this.propertyBatches) {
+      if (batch.has(property)) {
+        batch.get(property).changed = true;
+        return;
+      }
+    }
+
+    this.sendPropertyStatus([property]);
+  }
+
+  /**
+   * Send a single propertyStatus message with the current values of some
+   * properties to all subscribers, leaving out properties which are not
+   * observable.
+   *
+   * @param {Object[]} properties The properties
+   */
+  sendPropertyStatus(properties) {
+    const status = {
       messageType: 'propertyStatus',
-      data: {
-        [property.name]: property.getValue(),
-      },
+      data: {},
+    };
+
+    for (const property of properties) {
+      if (!property.isObservable()) {
+        continue;
+      }
+
+      status.data[property.name] = property.getValue();
+
+      if (property.isStale()) {
+        status.stale = status.stale || [];
+        status.stale.push(property.name);
+      }
+    }
+
+    if (Object.keys(status.data).length === 0) {
+      return;
+    }
+
+    const message = JSON.stringify(status);
+
+    for (const subscriber of this.subscribers) {
+      try {
+        subscriber.send(message);
+      } catch (e) {
+        // do nothing
+      }
+    }
+  }
+
+  /**
+   * Notify all subscribers that the thing description changed, i.e. after a
+   * property, action or event was added or removed.
+   */
+  descriptionNotify() {
+    if (this.subscribers.size === 0) {
+      return;
+    }
+
+    const message = JSON.stringify({
+      messageType: 'thingDescriptionChanged',
+      data: this.asThingDescription(),
     });
 
     for (const subscriber of this.subscribers) {
@@ -587,4 +1618,10 @@ class Thing {
   }
 }
 
+/**
+ * Dialects of the descriptions returned by asThingDescription(), 'mozilla'
+ * being the default.
+ */
+Thing.DESCRIPTION_DIALECTS = DESCRIPTION_DIALECTS;
+
 module.exports = Thing;
@@ -0,0 +1,237 @@
+/**
+ * Thing Model implementation.
+ */
+
+'use strict';
+
+const Thing = require('./thing');
+const utils = require('./utils');
+
+const PLACEHOLDER = /\{\{([^{}]+)\}\}/g;
+
+const TM_TYPE = 'tm:ThingModel';
+
+/**
+ * Get the value a JSON pointer refers to.
+ *
+ * @param {Object} document The document
+ * @param {String} pointer The pointer, i.e. '/properties/temperature'
+ * @returns {*} The value, or null if there is none.
+ */
+function getPointer(document, pointer) {
+  let value = document;
+  for (const token of pointer.split('/').slice(1)) {
+    const key = decodeURIComponent(token).replace(/~1/g, '/')
+      .replace(/~0/g, '~');
+    if (!value || typeof value !== 'object' || !value.hasOwnProperty(key)) {
+      return null;
+    }
+
+    value = value[key];
+  }
+
+  return value;
+}
+
+/**
+ * A W3C WoT Thing Model, i.e. a template for things of the same family.
+ *
+ * Models may contain placeholders, i.e. '{{PIN}}', which are replaced with
+ * values when a thing is instantiated, and refer to definitions of other
+ * models with 'tm:ref'.
+ */
+class ThingModel {
+  /**
+   * Initialize the object.
+   *
+   * @param {Object} model The Thing Model
+   * @param {Object} models (Optional) Other models referred to with 'tm:ref',
+   *                        i.e. URL -> model
+   */
+  constructor(model, models) {
+    if (![].concat(model['@type']).includes(TM_TYPE)) {
+      throw new Error(`Thing Model without ${TM_TYPE} type`);
+    }
+
+    this.model = model;
+    this.models = models || {};
+  }
+
+  /**
+   * Get the model as given.
+   *
+   * @returns {Object} The Thing Model.
+   */
+  asThingModel() {
+    return this.model;
+  }
+
+  /**
+   * Get the title of the model.
+   *
+   * @returns {String} The title.
+   */
+  getTitle() {
+    return this.model.title;
+  }
+
+  /**
+   * Get the names of the placeholders used in the model.
+   *
+   * @returns {String[]} The names.
+   */
+  getPlaceholders() {
+    const names = new Set();
+    const text = JSON.stringify(this.model);
+
+    let match;
+    while ((match = PLACEHOLDER.exec(text)) !== null) {
+      names.add(match[1]);
+    }
+
+    return Array.from(names);
+  }
+
+  /**
+   * Resolve the 'tm:ref' definitions of a part of a model.
+   *
+   * Referenced definitions are copied, and overridden by the terms next to
+   * the reference.
+   *
+   * @param {*} node The part of the model
+   * @param {Object} model The model the part belongs to
+   * @param {String[]} refs References being resolved, to detect cycles
+   * @returns {*} The resolved part.
+   */
+  resolve(node, model, refs) {
+    if (Array.isArray(node)) {
+      return node.map((item) => this.resolve(item, model, refs));
+    }
+
+    if (!node || typeof node !== 'object') {
+      return node;
+    }
+
+    let resolved = {};
+
+    if (node.hasOwnProperty('tm:ref')) {
+      const ref = node['tm:ref'];
+      if (refs.includes(ref)) {
+        throw new Error(`Circular reference: ${ref}`);
+      }
+
+      const index = ref.indexOf('#');
+      const url = index < 0 ? ref : ref.slice(0, index);
+      const pointer = index < 0 ? '' : ref.slice(index + 1);
+
+      let target = model;
+      if (url) {
+        target = this.models[url];
+        if (target instanceof ThingModel) {
+          target = target.asThingModel();
+        }
+      }
+
+      const definition = target ? getPointer(target, pointer) : null;
+      if (definition === null) {
+        throw new Error(`Unresolved reference: ${ref}`);
+      }
+
+      resolved = this.resolve(definition, target, refs.concat([ref]));
+    }
+
+    for (const key in node) {
+      if (key !== 'tm:ref') {
+        resolved[key] = this.resolve(node[key], model, refs);
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Replace the placeholders of a part of a model.
+   *
+   * A string made of a single placeholder takes the value as is, i.e. a
+   * number, while other strings take it as text.
+   *
+   * @param {*} node The part of the model
+   * @param {Object} values Placeholder values, i.e. name -> value
+   * @returns {*} The part with the placeholders replaced.
+   */
+  fill(node, values) {
+    const replace = (text) => {
+      return text.replace(PLACEHOLDER, (placeholder, name) => {
+        if (!values.hasOwnProperty(name)) {
+          throw new Error(`Missing value for placeholder: ${name}`);
+        }
+
+        return `${values[name]}`;
+      });
+    };
+
+    if (typeof node === 'string') {
+      const match = /^\{\{([^{}]+)\}\}$/.exec(node);
+      if (match && values.hasOwnProperty(match[1])) {
+        return utils.clone(values[match[1]]);
+      }
+
+      return replace(node);
+    }
+
+    if (Array.isArray(node)) {
+      return node.map((item) => this.fill(item, values));
+    }
+
+    if (node && typeof node === 'object') {
+      const filled = {};
+      for (const key in node) {
+        filled[replace(key)] = this.fill(node[key], values);
+      }
+
+      return filled;
+    }
+
+    return node;
+  }
+
+  /**
+   * Get the Thing Description of an instance of the model.
+   *
+   * @param {Object} values Placeholder values, i.e. name -> value
+   * @returns {Object} The Thing Description.
+   */
+  describe(values) {
+    const td = this.fill(this.resolve(this.model, this.model, []), values);
+
+    td['@type'] = [].concat(td['@type']).filter((t) => t !== TM_TYPE);
+    for (const key of Object.keys(td)) {
+      if (key.startsWith('tm:')) {
+        delete td[key];
+      }
+    }
+
+    if (!td.id) {
+      throw new Error('Thing Model instance without id');
+    }
+
+    return td;
+  }
+
+  /**
+   * Create a thing from the model.
+   *
+   * @param {Object} values Placeholder values, i.e. name -> value
+   * @param {Object} handlers (Optional) Implementations, see
+   *                          Thing.fromDescription()
+   * @returns {Object} The thing.
+   */
+  instantiate(values, handlers) {
+    const thing = Thing.fromDescription(this.describe(values || {}),
+                                        handlers);
+    thing.setModel(this);
+    return thing;
+  }
+}
+
+module.exports = ThingModel;
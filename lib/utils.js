@@ -4,19 +4,126 @@
 
 'use strict';
 
+const crypto = require('crypto');
 const os = require('os');
 
 module.exports = {
   /**
    * Get the current time.
    *
+   * @param {Date} date (Optional) Time to format instead of the current one
    * @returns {String} The current time in the form YYYY-mm-ddTHH:MM:SS+00:00
    */
-  timestamp: function() {
-    const date = new Date().toISOString();
+  timestamp: function(date) {
+    date = (date || new Date()).toISOString();
     return date.replace(/\.\d{3}Z/, '+00:00');
   },
 
+  /**
+   * Generate a random ID.
+   *
+   * @returns {String} A version 4 UUID.
+   */
+  generateId: function() {
+    const bytes = crypto.randomBytes(16);
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+    const hex = bytes.toString('hex');
+    return [
+      hex.substr(0, 8),
+      hex.substr(8, 4),
+      hex.substr(12, 4),
+      hex.substr(16, 4),
+      hex.substr(20),
+    ].join('-');
+  },
+
+  /**
+   * Compare two JSON values structurally.
+   *
+   * @param {*} a The first value
+   * @param {*} b The second value
+   * @returns {Boolean} Whether the values are equal.
+   */
+  deepEqual: function(a, b) {
+    if (a === b) {
+      return true;
+    }
+
+    if (typeof a !== 'object' || typeof b !== 'object' ||
+        a === null || b === null ||
+        Array.isArray(a) !== Array.isArray(b)) {
+      return false;
+    }
+
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) {
+      return false;
+    }
+
+    return keys.every((key) => b.hasOwnProperty(key) &&
+                               module.exports.deepEqual(a[key], b[key]));
+  },
+
+  /**
+   * Copy a JSON value, so that later changes to the original do not affect
+   * the copy.
+   *
+   * @param {*} value The value
+   * @returns {*} The copy.
+   */
+  clone: function(value) {
+    if (typeof value !== 'object' || value === null) {
+      return value;
+    }
+
+    return JSON.parse(JSON.stringify(value));
+  },
+
+  /**
+   * Get the status code to respond with when an action request fails.
+   *
+   * @param {Error} error The error thrown by Thing.performAction()
+   * @returns {Number} The HTTP status code, which CoAP maps the same way.
+   */
+  getActionErrorStatus: function(error) {
+    switch (error.code) {
+      case 'ACTION_BUSY':
+        return 409;
+      case 'ACTION_LIMIT_REACHED':
+        return 503;
+      default:
+        return 500;
+    }
+  },
+
+  /**
+   * Expand a prefixed type into a full IRI.
+   *
+   * @param {String} type The type, i.e. 'saref:Switch'
+   * @param {String|Object|Array} context The JSON-LD context declaring the
+   *                                      prefixes
+   * @returns {String} The expanded type, or the type itself if its prefix is
+   *                   not declared.
+   */
+  expandType: function(type, context) {
+    const index = type.indexOf(':');
+    if (index < 0) {
+      return type;
+    }
+
+    const prefix = type.slice(0, index);
+    for (const entry of [].concat(context)) {
+      if (entry && typeof entry === 'object' &&
+          typeof entry[prefix] === 'string') {
+        return `${entry[prefix]}${type.slice(index + 1)}`;
+      }
+    }
+
+    return type;
+  },
+
   /**
    * Get all IP addresses.
    *
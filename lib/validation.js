@@ -0,0 +1,338 @@
+/**
+ * Thing Description validation.
+ */
+
+'use strict';
+
+const Ajv = require('ajv');
+const capabilities = require('./schemas/capabilities.json');
+const tdSchema = require('./schemas/td-json-schema-validation.json');
+
+// Unlike the validation of values, all errors are collected so that a
+// description can be fixed in one go. The schema only puts comments next to
+// its references.
+const ajv = new Ajv({
+  allErrors: true,
+  extendRefs: true,
+  unknownFormats: 'ignore',
+});
+
+const VALIDATION_MODES = ['off', 'warn', 'strict'];
+
+let validateTd = null;
+
+/**
+ * Determine whether a thing uses the Mozilla vocabulary.
+ *
+ * @param {Object} description The Thing Description
+ * @returns {Boolean} Whether the context includes the Mozilla schemas.
+ */
+function usesVocabulary(description) {
+  const context = [].concat(description['@context']);
+  return context.includes(capabilities.context);
+}
+
+/**
+ * Get the semantic types of a thing or interaction from the Mozilla
+ * vocabulary, leaving out prefixed types from other vocabularies, and
+ * missing ones, as in things created without types.
+ *
+ * @param {Object} description The description
+ * @returns {String[]} The types.
+ */
+function getTypes(description) {
+  if (!description.hasOwnProperty('@type')) {
+    return [];
+  }
+
+  return [].concat(description['@type']).filter(
+    (t) => typeof t === 'string' && !t.includes(':'));
+}
+
+/**
+ * Determine whether a schema type is compatible with the expected one.
+ *
+ * @param {String} type The schema type
+ * @param {String} expected The expected type
+ * @returns {Boolean} Whether the type is compatible.
+ */
+function isOfType(type, expected) {
+  return type === expected || (expected === 'number' && type === 'integer');
+}
+
+/**
+ * Check the schema of a property against the schema of its type.
+ *
+ * @param {Object} property The property description
+ * @param {String} type The property type, i.e. 'BrightnessProperty'
+ * @param {Object} expected The constraints of the type
+ * @returns {String[]} The problems found.
+ */
+function checkProperty(property, type, expected) {
+  const problems = [];
+
+  if (expected.type && !isOfType(property.type, expected.type)) {
+    problems.push(`${type} should be of type ${expected.type}`);
+  }
+
+  const minimum = expected.minimum;
+  if (expected.hasOwnProperty('minimum') && !(property.minimum >= minimum)) {
+    problems.push(`${type} should have a minimum of ${minimum} or more`);
+  }
+
+  const maximum = expected.maximum;
+  if (expected.hasOwnProperty('maximum') && !(property.maximum <= maximum)) {
+    problems.push(`${type} should have a maximum of ${maximum} or less`);
+  }
+
+  if (expected.enum) {
+    const values = property.enum || [];
+    const allowed = values.every((v) => expected.enum.includes(v));
+    if (values.length === 0 || !allowed) {
+      problems.push(`${type} should be one of ${expected.enum.join(', ')}`);
+    }
+  }
+
+  if (expected.readOnly && !property.readOnly) {
+    problems.push(`${type} should be read-only`);
+  }
+
+  return problems;
+}
+
+/**
+ * Determine whether an error is due to the legacy Mozilla format, which
+ * links to interactions rather than listing forms, and uses its own context.
+ *
+ * @param {Object} error The Ajv error
+ * @returns {Boolean} Whether the error is expected in the legacy format.
+ */
+function isLegacyError(error) {
+  if (error.dataPath.startsWith('[\'@context\']')) {
+    return true;
+  }
+
+  return error.keyword === 'required' &&
+    error.params.missingProperty === 'forms';
+}
+
+const validation = {
+  /**
+   * Validate a Thing Description against the W3C WoT TD JSON schema.
+   *
+   * @param {Object} description The Thing Description
+   * @param {Object} options (Optional) Validation options:
+   *                         - legacy: whether the description is in the
+   *                           legacy Mozilla format, in which case missing
+   *                           forms and the Mozilla context are accepted
+   * @returns {String[]} The problems found, i.e.
+   *                     ".properties['on'] should have required property
+   *                     'type'", or an empty array if the description is
+   *                     valid.
+   */
+  validateThingDescription: function(description, options) {
+    options = options || {};
+
+    if (validateTd === null) {
+      validateTd = ajv.compile(tdSchema);
+    }
+
+    if (validateTd(description)) {
+      return [];
+    }
+
+    let errors = validateTd.errors;
+    if (options.legacy) {
+      errors = errors.filter((e) => !isLegacyError(e));
+    }
+
+    const problems = errors.map((e) => `${e.dataPath || '.'} ${e.message}`);
+    return problems.filter((p, i) => problems.indexOf(p) === i);
+  },
+
+  /**
+   * Check that the semantic types of a thing and its interactions are used
+   * consistently with the Mozilla capability schemas, i.e. that an
+   * 'OnOffSwitch' has an 'OnOffProperty', or that a 'BrightnessProperty' is
+   * an integer from 0 to 100.
+   *
+   * Things which do not use the Mozilla vocabulary, and types from other
+   * vocabularies, are not checked.
+   *
+   * @param {Object} thing The thing
+   * @returns {String[]} The problems found, or an empty array if the types
+   *                     are used consistently.
+   */
+  checkCapabilities: function(thing) {
+    const problems = [];
+    const description = thing.asThingDescription();
+
+    if (!usesVocabulary(description)) {
+      return problems;
+    }
+
+    const propertyTypes = new Set();
+    for (const name in description.properties) {
+      const property = description.properties[name];
+
+      for (const type of getTypes(property)) {
+        if (!capabilities.properties.hasOwnProperty(type)) {
+          problems.push(`Property ${name}: Unknown property type ${type}`);
+          continue;
+        }
+
+        propertyTypes.add(type);
+        for (const problem of
+          checkProperty(property, type, capabilities.properties[type])) {
+          problems.push(`Property ${name}: ${problem}`);
+        }
+      }
+    }
+
+    for (const type of getTypes(description)) {
+      if (!capabilities.capabilities.hasOwnProperty(type)) {
+        problems.push(`Unknown capability ${type}`);
+        continue;
+      }
+
+      for (const alternatives of capabilities.capabilities[type].requires) {
+        if (!alternatives.some((t) => propertyTypes.has(t))) {
+          problems.push(
+            `${type} requires a property of type ${alternatives.join(' or ')}`
+          );
+        }
+      }
+    }
+
+    for (const name in description.actions) {
+      const action = description.actions[name];
+
+      for (const type of getTypes(action)) {
+        if (!capabilities.actions.hasOwnProperty(type)) {
+          problems.push(`Action ${name}: Unknown action type ${type}`);
+          continue;
+        }
+
+        const expected = capabilities.actions[type].input;
+        if (!expected) {
+          continue;
+        }
+
+        const input = action.input || {};
+        if (input.type !== expected.type) {
+          problems.push(
+            `Action ${name}: ${type} input should be of type ${expected.type}`
+          );
+        }
+
+        for (const member of expected.required) {
+          if (!input.properties || !input.properties.hasOwnProperty(member)) {
+            problems.push(
+              `Action ${name}: ${type} input should have ${member}`);
+          }
+        }
+      }
+    }
+
+    for (const name in description.events) {
+      const event = description.events[name];
+
+      for (const type of getTypes(event)) {
+        if (!capabilities.events.hasOwnProperty(type)) {
+          problems.push(`Event ${name}: Unknown event type ${type}`);
+          continue;
+        }
+
+        const expected = capabilities.events[type].type;
+        const data = event.hasOwnProperty('data') ? event.data : event;
+        if (expected && !isOfType(data.type, expected)) {
+          problems.push(`Event ${name}: ${type} should be of type ${expected}`);
+        }
+      }
+    }
+
+    return problems;
+  },
+
+  /**
+   * Check the things managed by a server.
+   *
+   * Descriptions are checked as served, i.e. without security, in both
+   * dialects. Each check is done in one of the following modes:
+   * - 'off': do not check
+   * - 'warn': log problems
+   * - 'strict': throw an error listing the problems
+   *
+   * @param {Object[]} things The things
+   * @param {Object} modes Modes of the checks:
+   *                       - validation: validation of the descriptions
+   *                         against the W3C WoT TD schema
+   *                       - capabilities: check of the semantic types, see
+   *                         checkCapabilities()
+   * @param {Object} origins Origins of the protocols served, see
+   *                         Thing.asThingDescription()
+   */
+  checkThings: function(things, modes, origins) {
+    const validationMode = modes.validation || 'off';
+    const capabilitiesMode = modes.capabilities || 'off';
+
+    if (!VALIDATION_MODES.includes(validationMode)) {
+      throw new Error(
+        `Unknown description validation mode: ${validationMode}`);
+    }
+
+    if (!VALIDATION_MODES.includes(capabilitiesMode)) {
+      throw new Error(`Unknown capability check mode: ${capabilitiesMode}`);
+    }
+
+    const problems = {off: [], warn: [], strict: []};
+    for (const thing of things) {
+      const name = thing.getTitle() || thing.getId();
+
+      if (validationMode !== 'off') {
+        const legacy = thing.asThingDescription();
+        legacy.securityDefinitions = {
+          nosec_sc: {
+            scheme: 'nosec',
+          },
+        };
+        legacy.security = 'nosec_sc';
+
+        const errors =
+          validation.validateThingDescription(legacy, {legacy: true});
+        for (const error of errors) {
+          problems[validationMode].push(
+            `${name}: Invalid description: ${error}`);
+        }
+
+        // Only report problems specific to the W3C dialect once more.
+        const description =
+          thing.asThingDescription({dialect: 'w3c', origins});
+        for (const error of
+          validation.validateThingDescription(description)) {
+          if (!errors.includes(error)) {
+            problems[validationMode].push(
+              `${name}: Invalid W3C description: ${error}`);
+          }
+        }
+      }
+
+      if (capabilitiesMode !== 'off') {
+        for (const problem of validation.checkCapabilities(thing)) {
+          problems[capabilitiesMode].push(
+            `${name}: Inconsistent capabilities: ${problem}`);
+        }
+      }
+    }
+
+    for (const problem of problems.warn) {
+      console.warn(problem);
+    }
+
+    if (problems.strict.length > 0) {
+      throw new Error(problems.strict.join('\n'));
+    }
+  },
+};
+
+module.exports = validation;
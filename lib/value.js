@@ -5,6 +5,7 @@
 'use strict';
 
 const EventEmitter = require('events');
+const utils = require('./utils');
 
 /**
  * A property value.
@@ -14,7 +15,9 @@ const EventEmitter = require('events');
  *
  * Notifies all observers when the underlying value changes through an external
  * update (command to turn the light off) or if the underlying sensor reports a
- * new value.
+ * new value. Emits 'update' as far as the notification options allow, 'change'
+ * for every change regardless of them, and 'stale' when the value goes stale
+ * or becomes fresh again.
  */
 class Value extends EventEmitter {
   /**
@@ -22,25 +25,69 @@ class Value extends EventEmitter {
    *
    * @param {*} initialValue The initial value
    * @param {function?} valueForwarder The method that updates the actual value
-   *                                   on the thing
+   *                                   on the thing, optionally returning a
+   *                                   promise
+   * @param {Object} options (Optional) Notification options:
+   *                         - minInterval: minimum time between two
+   *                           notifications, in milliseconds
+   *                         - deadband: minimum absolute change of a numeric
+   *                           value to notify
+   *                         - deadbandPercent: minimum change of a numeric
+   *                           value to notify, in percent of the last
+   *                           notified value
+   *                         - coalesce: whether to notify the latest value
+   *                           once minInterval has elapsed, rather than
+   *                           dropping updates received in between
    */
-  constructor(initialValue, valueForwarder = null) {
+  constructor(initialValue, valueForwarder = null, options = {}) {
     super();
-    this.lastValue = initialValue;
+    this.lastValue = utils.clone(initialValue);
     this.valueForwarder = valueForwarder;
+    this.minInterval = options.minInterval || 0;
+    this.deadband = options.deadband || 0;
+    this.deadbandPercent = options.deadbandPercent || 0;
+    this.coalesce = !!options.coalesce;
+    this.notifiedValue = this.lastValue;
+    this.notifiedTime = 0;
+    this.notifyTimer = null;
+    this.stale = false;
+    this.sequence = 0;
   }
 
   /**
    * Set a new value for this thing.
    *
+   * The value forwarder may return a promise, in which case the new value is
+   * only taken over once it resolves, unless another value was set in the
+   * meantime, so that writes completing out of order do not override later
+   * ones.
+   *
    * @param {*} value Value to set
+   * @returns {Object} Promise which resolves once the value is set, or rejects
+   *                   if the value forwarder failed.
    */
   set(value) {
+    const sequence = ++this.sequence;
+
+    let result = null;
     if (this.valueForwarder) {
-      this.valueForwarder(value);
+      try {
+        result = this.valueForwarder(value);
+      } catch (e) {
+        return Promise.reject(e);
+      }
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result.then(() => {
+        if (sequence === this.sequence) {
+          this.notifyOfExternalUpdate(value);
+        }
+      });
     }
 
     this.notifyOfExternalUpdate(value);
+    return Promise.resolve();
   }
 
   /**
@@ -55,16 +102,115 @@ class Value extends EventEmitter {
   /**
    * Notify observers of a new value.
    *
+   * A value of null means that the value is unknown, i.e. the sensor has no
+   * reading. Any new value clears the stale state.
+   *
+   * Objects and arrays are compared structurally and stored as a copy, so a
+   * value which was changed in place is detected as changed when reported
+   * again.
+   *
    * @param {*} value New value
    */
   notifyOfExternalUpdate(value) {
-    if (typeof value !== 'undefined' &&
-        value !== null &&
-        value !== this.lastValue) {
-      this.lastValue = value;
-      this.emit('update', value);
+    if (typeof value === 'undefined') {
+      return;
+    }
+
+    if (this.stale) {
+      this.stale = false;
+      this.emit('stale', false);
+    }
+
+    if (!utils.deepEqual(value, this.lastValue)) {
+      this.lastValue = utils.clone(value);
+      this.notify();
+      this.emit('change', this.lastValue);
+    }
+  }
+
+  /**
+   * Notify observers that the value has changed, i.e. after changing the
+   * object returned by get() in place.
+   */
+  markChanged() {
+    this.notify();
+    this.emit('change', this.lastValue);
+  }
+
+  /**
+   * Mark the value as unknown, i.e. the sensor is unavailable.
+   */
+  markUnknown() {
+    this.notifyOfExternalUpdate(null);
+  }
+
+  /**
+   * Mark the last value as stale, i.e. no longer up to date.
+   *
+   * The value is kept until a new one is reported.
+   */
+  markStale() {
+    if (!this.stale) {
+      this.stale = true;
+      this.emit('stale', true);
     }
   }
+
+  /**
+   * Determine whether the last value is stale.
+   *
+   * @returns {Boolean} Whether the value is stale.
+   */
+  isStale() {
+    return this.stale;
+  }
+
+  /**
+   * Determine whether the last value is too close to the last notified one to
+   * be worth a notification.
+   *
+   * @returns {Boolean} Whether the last value is within the deadband.
+   */
+  isWithinDeadband() {
+    if (typeof this.lastValue !== 'number' ||
+        typeof this.notifiedValue !== 'number') {
+      return false;
+    }
+
+    const change = Math.abs(this.lastValue - this.notifiedValue);
+    if (this.deadband && change < this.deadband) {
+      return true;
+    }
+
+    const percent = Math.abs(this.notifiedValue) * this.deadbandPercent / 100;
+    return this.deadbandPercent > 0 && change < percent;
+  }
+
+  /**
+   * Notify observers of the last value, as far as the notification options
+   * allow.
+   */
+  notify() {
+    if (this.isWithinDeadband()) {
+      return;
+    }
+
+    const delay = this.notifiedTime + this.minInterval - Date.now();
+    if (delay > 0) {
+      if (this.coalesce && this.notifyTimer === null) {
+        this.notifyTimer = setTimeout(() => {
+          this.notifyTimer = null;
+          this.notify();
+        }, delay);
+      }
+
+      return;
+    }
+
+    this.notifiedValue = this.lastValue;
+    this.notifiedTime = Date.now();
+    this.emit('update', this.lastValue);
+  }
 }
 
 module.exports = Value;
@@ -0,0 +1,483 @@
+const assert = require('assert');
+
+const {Action, Property, Thing, Value} = require('../index');
+const {defer, flush, subscribe, wait} = require('./lib/helpers');
+
+/**
+ * Create a thing with a 'test' action type.
+ *
+ * @param {function} perform Called with the action to perform it
+ * @param {Object} metadata Metadata of the action type
+ * @param {Object} options Concurrency options of the action type
+ * @param {function} cancel Called with the action to cancel it
+ */
+function createThing(perform, metadata, options, cancel) {
+  const thing = new Thing('urn:dev:test', 'Test', [], 'Test');
+
+  class TestAction extends Action {
+    constructor(thing, input) {
+      super(`${TestAction.count++}`, thing, 'test', input);
+    }
+
+    performAction() {
+      return perform(this);
+    }
+
+    cancel() {
+      return cancel ? cancel(this) : Promise.resolve();
+    }
+  }
+
+  TestAction.count = 0;
+
+  thing.addAvailableAction('test', metadata || {}, TestAction, options);
+  return thing;
+}
+
+describe('Action', () => {
+  describe('failure', () => {
+    it('should report a rejected action as failed', () => {
+      const error = new Error('Motor stalled');
+      error.code = 'STALLED';
+
+      const thing = createThing(() => Promise.reject(error));
+      const messages = subscribe(thing);
+      const action = thing.performAction('test');
+      action.start();
+
+      return flush().then(() => {
+        assert.equal('failed', action.getStatus());
+        assert.deepEqual({message: 'Motor stalled', code: 'STALLED'},
+                         action.getError());
+
+        const description = action.asActionDescription().test;
+        assert.equal('failed', description.status);
+        assert.deepEqual(action.getError(), description.error);
+        assert.ok(description.timeCompleted);
+
+        const last = messages[messages.length - 1];
+        assert.equal('actionStatus', last.messageType);
+        assert.equal('failed', last.data.test.status);
+      });
+    });
+
+    it('should report an action which throws as failed', () => {
+      const thing = createThing(() => {
+        throw new Error('Not ready');
+      });
+      const action = thing.performAction('test');
+      action.start();
+
+      return flush().then(() => {
+        assert.equal('failed', action.getStatus());
+        assert.deepEqual({message: 'Not ready'}, action.getError());
+      });
+    });
+
+    it('should report a failed property write as failed', () => {
+      const thing = createThing((action) => {
+        return action.getThing().setProperty('level', 1);
+      });
+      thing.addProperty(new Property(thing, 'level', new Value(0, () => {
+        throw new Error('Offline');
+      })));
+      const action = thing.performAction('test');
+      action.start();
+
+      return flush().then(() => {
+        assert.equal('failed', action.getStatus());
+        assert.deepEqual({message: 'Offline'}, action.getError());
+        assert.equal(0, thing.getProperty('level'));
+      });
+    });
+
+    it('should report a non-error rejection as a message', () => {
+      const thing = createThing(() => Promise.reject('timeout'));
+      const action = thing.performAction('test');
+      action.start();
+
+      return flush().then(() => {
+        assert.deepEqual({message: 'timeout'}, action.getError());
+      });
+    });
+
+    it('should report a resolved action as completed', () => {
+      const thing = createThing(() => Promise.resolve());
+      const action = thing.performAction('test');
+      action.start();
+
+      return flush().then(() => {
+        assert.equal('completed', action.getStatus());
+        assert.equal(null, action.getError());
+        assert.ok(!action.asActionDescription().test.hasOwnProperty('error'));
+      });
+    });
+  });
+
+  describe('output', () => {
+    const metadata = {
+      output: {
+        type: 'object',
+        required: ['level'],
+        properties: {
+          level: {
+            type: 'integer',
+          },
+        },
+      },
+    };
+
+    it('should describe the output of a completed action', () => {
+      const thing = createThing(() => Promise.resolve({level: 42}), metadata);
+      const action = thing.performAction('test');
+      action.start();
+
+      return flush().then(() => {
+        assert.equal('completed', action.getStatus());
+        assert.deepEqual({level: 42}, action.getOutput());
+        assert.deepEqual({level: 42}, action.asActionDescription().test.output);
+      });
+    });
+
+    it('should fail an action with an invalid output', () => {
+      const thing = createThing(() => Promise.resolve({level: 'high'}),
+                                metadata);
+      const action = thing.performAction('test');
+      action.start();
+
+      return flush().then(() => {
+        assert.equal('failed', action.getStatus());
+        assert.deepEqual({message: 'Invalid action output'}, action.getError());
+        assert.equal(null, action.getOutput());
+      });
+    });
+
+    it('should drop the output of actions without an output schema', () => {
+      const thing = createThing(() => Promise.all([Promise.resolve()]));
+      const messages = subscribe(thing);
+      const action = thing.performAction('test');
+      action.start();
+
+      return flush().then(() => {
+        assert.equal('completed', action.getStatus());
+        assert.equal(null, action.getOutput());
+        assert.ok(!action.asActionDescription().test.hasOwnProperty('output'));
+
+        const last = messages[messages.length - 1];
+        assert.equal('completed', last.data.test.status);
+        assert.ok(!last.data.test.hasOwnProperty('output'));
+      });
+    });
+
+    it('should leave out the output of an action without one', () => {
+      const thing = createThing(() => Promise.resolve(), metadata);
+      const action = thing.performAction('test');
+      action.start();
+
+      return flush().then(() => {
+        assert.equal('completed', action.getStatus());
+        assert.ok(!action.asActionDescription().test.hasOwnProperty('output'));
+      });
+    });
+  });
+
+  describe('cancellation', () => {
+    it('should go through cancelling to cancelled', () => {
+      const cancelled = defer();
+      const thing = createThing(() => defer().promise,
+                                null,
+                                null,
+                                () => cancelled.promise);
+      const messages = subscribe(thing);
+      const action = thing.performAction('test');
+      action.start();
+
+      const abort = action.abort();
+      assert.equal('cancelling', action.getStatus());
+      assert.strictEqual(abort, action.abort());
+
+      return flush().then(() => {
+        assert.equal('cancelling', action.getStatus());
+        cancelled.resolve();
+        return abort;
+      }).then(() => {
+        assert.equal('cancelled', action.getStatus());
+        assert.ok(action.getTimeCompleted());
+
+        const statuses = messages.map((m) => m.data.test.status);
+        assert.deepEqual(['created', 'pending', 'cancelling', 'cancelled'],
+                         statuses);
+      });
+    });
+
+    it('should discard a completion while cancelling', () => {
+      const performed = defer();
+      const cancelled = defer();
+      const thing = createThing(() => performed.promise,
+                                {output: {type: 'string'}},
+                                null,
+                                () => cancelled.promise);
+      const action = thing.performAction('test');
+      action.start();
+
+      const abort = action.abort();
+      performed.resolve('done');
+
+      return flush().then(() => {
+        assert.equal('cancelling', action.getStatus());
+        cancelled.resolve();
+        return abort;
+      }).then(() => {
+        assert.equal('cancelled', action.getStatus());
+        assert.equal(null, action.getOutput());
+      });
+    });
+
+    it('should resume an action whose cancellation fails', () => {
+      const performed = defer();
+      const thing = createThing(() => performed.promise,
+                                {output: {type: 'string'}},
+                                null,
+                                () => Promise.reject(new Error('Stuck')));
+      const action = thing.performAction('test');
+      action.start();
+
+      const abort = action.abort();
+      performed.resolve('done');
+
+      return abort.then(() => {
+        assert.fail('Cancellation should have failed');
+      }, (e) => {
+        assert.equal('Stuck', e.message);
+        return flush();
+      }).then(() => {
+        assert.equal('completed', action.getStatus());
+        assert.equal('done', action.getOutput());
+      });
+    });
+
+    it('should cancel an action which never ran right away', () => {
+      const thing = createThing(() => Promise.resolve());
+      const action = thing.performAction('test');
+
+      action.abort();
+      assert.equal('cancelled', action.getStatus());
+    });
+
+    it('should remove an action once it is cancelled', () => {
+      const thing = createThing(() => defer().promise);
+      const action = thing.performAction('test');
+      action.start();
+
+      return thing.removeAction('test', action.getId()).then((found) => {
+        assert.ok(found);
+        assert.equal('cancelled', action.getStatus());
+        assert.equal(null, thing.getAction('test', action.getId()));
+        return thing.removeAction('test', action.getId());
+      }).then((found) => {
+        assert.ok(!found);
+      });
+    });
+  });
+
+  describe('progress', () => {
+    it('should notify progress at most once per interval', () => {
+      const performed = defer();
+      const thing = createThing(() => performed.promise);
+      const messages = subscribe(thing);
+      const action = thing.performAction('test');
+      action.progressInterval = 50;
+      action.start();
+      messages.length = 0;
+
+      action.setProgress(10, 'Heating');
+      action.setProgress(20);
+      action.setProgress(30, 'Almost');
+
+      assert.equal(1, messages.length);
+      assert.deepEqual({percentage: 10, message: 'Heating'},
+                       messages[0].data.test.progress);
+      assert.deepEqual({percentage: 30, message: 'Almost'},
+                       action.getProgress());
+
+      return wait(80).then(() => {
+        assert.equal(2, messages.length);
+        assert.deepEqual({percentage: 30, message: 'Almost'},
+                         messages[1].data.test.progress);
+        performed.resolve();
+      });
+    });
+
+    it('should clamp the percentage', () => {
+      const thing = createThing(() => defer().promise);
+      const action = thing.performAction('test');
+      action.start();
+
+      action.setProgress(150);
+      assert.deepEqual({percentage: 100}, action.getProgress());
+      action.clearProgressTimer();
+    });
+
+    it('should drop pending progress once the action finishes', () => {
+      const performed = defer();
+      const thing = createThing(() => performed.promise);
+      const messages = subscribe(thing);
+      const action = thing.performAction('test');
+      action.progressInterval = 30;
+      action.start();
+
+      action.setProgress(10);
+      action.setProgress(50);
+      performed.resolve();
+
+      return flush().then(() => {
+        assert.equal('completed', action.getStatus());
+        const count = messages.length;
+
+        action.setProgress(60);
+        return wait(50).then(() => {
+          assert.equal(count, messages.length);
+          assert.equal('completed',
+                       messages[messages.length - 1].data.test.status);
+          assert.deepEqual({percentage: 50}, action.getProgress());
+        });
+      });
+    });
+  });
+
+  describe('concurrency', () => {
+    it('should queue actions beyond the limit', () => {
+      const performed = [];
+      const thing = createThing(() => {
+        const deferred = defer();
+        performed.push(deferred);
+        return deferred.promise;
+      }, null, {policy: 'queue'});
+
+      const first = thing.performAction('test');
+      first.start();
+      const second = thing.performAction('test');
+      second.start();
+
+      assert.equal('pending', first.getStatus());
+      assert.equal('queued', second.getStatus());
+      assert.equal(1, performed.length);
+
+      performed[0].resolve();
+      return flush().then(() => {
+        assert.equal('completed', first.getStatus());
+        assert.equal('pending', second.getStatus());
+        assert.equal(2, performed.length);
+      });
+    });
+
+    it('should cancel a queued action without running it', () => {
+      const thing = createThing(() => defer().promise, null, {policy: 'queue'});
+
+      const first = thing.performAction('test');
+      first.start();
+      const second = thing.performAction('test');
+      second.start();
+
+      return second.abort().then(() => {
+        assert.equal('pending', first.getStatus());
+        assert.equal('cancelled', second.getStatus());
+      });
+    });
+
+    it('should reject actions while busy', () => {
+      const thing = createThing(() => defer().promise,
+                                null,
+                                {policy: 'reject'});
+
+      thing.performAction('test').start();
+      assert.throws(() => thing.performAction('test'),
+                    (e) => e.code === 'ACTION_BUSY');
+    });
+
+    it('should limit parallel actions', () => {
+      const thing = createThing(() => defer().promise,
+                                null,
+                                {policy: 'parallel', maxConcurrency: 2});
+
+      thing.performAction('test').start();
+      thing.performAction('test').start();
+      assert.throws(() => thing.performAction('test'),
+                    (e) => e.code === 'ACTION_LIMIT_REACHED');
+    });
+
+    it('should start a replacing action once the others are cancelled', () => {
+      const cancelled = defer();
+      const performed = [];
+      const thing = createThing((action) => {
+        performed.push(action);
+        return defer().promise;
+      }, null, {policy: 'replace'}, () => cancelled.promise);
+
+      const first = thing.performAction('test');
+      first.start();
+      const second = thing.performAction('test');
+      second.start();
+
+      assert.equal('cancelling', first.getStatus());
+      assert.equal('queued', second.getStatus());
+      assert.deepEqual([first], performed);
+
+      return flush().then(() => {
+        assert.equal('queued', second.getStatus());
+        cancelled.resolve();
+        return flush();
+      }).then(() => {
+        assert.equal('cancelled', first.getStatus());
+        assert.equal('pending', second.getStatus());
+        assert.deepEqual([first, second], performed);
+      });
+    });
+
+    it('should only start the latest of several replacing actions', () => {
+      const cancelled = defer();
+      const thing = createThing(() => defer().promise,
+                                null,
+                                {policy: 'replace'},
+                                () => cancelled.promise);
+
+      const first = thing.performAction('test');
+      first.start();
+      const second = thing.performAction('test');
+      second.start();
+      const third = thing.performAction('test');
+      third.start();
+
+      assert.equal('cancelled', second.getStatus());
+      assert.equal('queued', third.getStatus());
+
+      cancelled.resolve();
+      return flush().then(() => {
+        assert.equal('cancelled', first.getStatus());
+        assert.equal('pending', third.getStatus());
+      });
+    });
+
+    it('should wait for a replaced action which cannot be cancelled', () => {
+      const performed = defer();
+      const thing = createThing((action) => {
+        return action.getId() === '0' ? performed.promise : defer().promise;
+      }, null, {policy: 'replace'}, () => Promise.reject(new Error('Stuck')));
+
+      const first = thing.performAction('test');
+      first.start();
+      const second = thing.performAction('test');
+      second.start();
+
+      return flush().then(() => {
+        assert.equal('pending', first.getStatus());
+        assert.equal('queued', second.getStatus());
+        performed.resolve();
+        return flush();
+      }).then(() => {
+        assert.equal('completed', first.getStatus());
+        assert.equal('pending', second.getStatus());
+      });
+    });
+  });
+});
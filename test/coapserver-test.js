@@ -1,6 +1,8 @@
 const assert = require('assert');
 const coap = require('coap');
 
+const {Property, Value} = require('../index');
+
 const singleThingServer = require('./lib/single-thing-server');
 const multipleThingsServer = require('./lib/multiple-things-server');
 
@@ -59,6 +61,117 @@ describe('singleThingServer', () => {
       req.end();
     });
   });
+
+  describe('observe /', () => {
+    it('should notify of changed descriptions', (done) => {
+      const thing = singleThingServer.things.getThing();
+      const property = new Property(
+        thing, 'level', new Value(0), {type: 'integer'});
+
+      const req = coap.request({pathname: '/', observe: true});
+      req.on('response', (res) => {
+        assert.equal('2.05', res.code);
+        res.once('data', (initial) => {
+          const description = JSON.parse(initial.toString());
+          assert.ok(!description.properties.hasOwnProperty('level'));
+
+          res.once('data', (changed) => {
+            const description = JSON.parse(changed.toString());
+            assert.ok(description.properties.hasOwnProperty('level'));
+            assert.equal('nosec_sc', description.security);
+
+            res.close();
+            thing.removeProperty(property);
+            done();
+          });
+
+          thing.addProperty(property);
+        });
+      });
+      req.end();
+    });
+  });
+
+  describe('PUT /properties', () => {
+    it('should set several values at once', (done) => {
+      const req = coap.request({pathname: '/properties', method: 'PUT'});
+      req.on('response', (res) => {
+        assert.equal('2.05', res.code);
+        assert.deepEqual({on: false}, JSON.parse(res.payload.toString()));
+        done();
+      });
+      req.end(JSON.stringify({on: false}));
+    });
+
+    it('should refuse invalid values', (done) => {
+      const req = coap.request({pathname: '/properties', method: 'PUT'});
+      req.on('response', (res) => {
+        assert.equal('4.00', res.code);
+        done();
+      });
+      req.end(JSON.stringify({on: 'off'}));
+    });
+  });
+
+  describe('GET /properties/<name>/history', () => {
+    before(() => {
+      const property = singleThingServer.things.getThing().findProperty('on');
+      property.enableHistory();
+      property.value.notifyOfExternalUpdate(true);
+      property.value.notifyOfExternalUpdate(false);
+    });
+
+    it('should return the recorded values', (done) => {
+      const req = coap.request(
+        'coap://localhost/properties/on/history?order=desc&limit=2');
+      req.on('response', (res) => {
+        assert.equal('2.05', res.code);
+        const samples = JSON.parse(res.payload.toString()).on;
+        assert.deepEqual([false, true], samples.map((s) => s.value));
+        done();
+      });
+      req.end();
+    });
+
+    it('should not serve properties without history', (done) => {
+      const req = coap.request('coap://localhost/properties/level/history');
+      req.on('response', (res) => {
+        assert.equal('4.04', res.code);
+        done();
+      });
+      req.end();
+    });
+  });
+
+  describe('observe /actions/<name>/<id>', () => {
+    it('should notify of status changes', (done) => {
+      const thing = singleThingServer.things.getThing();
+      const action = thing.performAction('SwitchOffTimer', {duration: 10});
+
+      const req = coap.request({
+        pathname: `/actions/SwitchOffTimer/${action.getId()}`,
+        observe: true,
+      });
+      req.on('response', (res) => {
+        assert.equal('2.05', res.code);
+
+        const statuses = [];
+        res.on('data', (data) => {
+          const status = JSON.parse(data.toString()).SwitchOffTimer.status;
+          statuses.push(status);
+
+          if (statuses.length === 1) {
+            action.start();
+          } else if (status === 'completed') {
+            res.close();
+            assert.deepEqual(['created', 'pending', 'completed'], statuses);
+            done();
+          }
+        });
+      });
+      req.end();
+    });
+  });
 });
 
 describe('multipleThingsServer', () => {
@@ -0,0 +1,120 @@
+const assert = require('assert');
+
+const {ComputedProperty, Property, Thing, Value} = require('../index');
+const {subscribe} = require('./lib/helpers');
+
+describe('ComputedProperty', () => {
+  let thing;
+  let temperature;
+  let humidity;
+
+  beforeEach(() => {
+    thing = new Thing('urn:dev:test', 'Test', [], 'Test');
+    temperature = new Value(20);
+    humidity = new Value(50);
+    thing.addProperty(
+      new Property(thing, 'temperature', temperature, {type: 'number'}));
+    thing.addProperty(
+      new Property(thing, 'humidity', humidity, {type: 'number'}));
+  });
+
+  /**
+   * Add a property computed from the temperature and humidity.
+   *
+   * @param {function} compute Function computing the value
+   * @returns {Object} The property.
+   */
+  function addComputed(compute) {
+    const property = new ComputedProperty(thing,
+                                          'comfort',
+                                          ['temperature', 'humidity'],
+                                          compute,
+                                          {type: ['number', 'null']});
+    thing.addProperty(property);
+    return property;
+  }
+
+  it('should compute the value from its dependencies', () => {
+    const comfort = addComputed((t, h) => t + h);
+    assert.equal(70, comfort.getValue());
+
+    temperature.notifyOfExternalUpdate(25);
+    assert.equal(75, comfort.getValue());
+  });
+
+  it('should notify subscribers of a new value', () => {
+    addComputed((t, h) => t + h);
+
+    const messages = subscribe(thing);
+    humidity.notifyOfExternalUpdate(60);
+
+    assert.deepEqual([{humidity: 60}, {comfort: 80}],
+                     messages.map((m) => m.data));
+  });
+
+  it('should be read-only', () => {
+    const comfort = addComputed((t, h) => t + h);
+    assert.ok(comfort.getMetadata().readOnly);
+    assert.throws(() => comfort.setValue(0), /Read-only property/);
+  });
+
+  it('should be unknown if the computation fails', () => {
+    const error = console.error;
+    console.error = () => {};
+
+    try {
+      const comfort = addComputed((t) => {
+        if (t > 30) {
+          throw new Error('Out of range');
+        }
+
+        return t;
+      });
+
+      temperature.notifyOfExternalUpdate(35);
+      assert.equal(null, comfort.getValue());
+    } finally {
+      console.error = error;
+    }
+  });
+
+  it('should be stale while a dependency is', () => {
+    const comfort = addComputed((t, h) => t + h);
+
+    humidity.markStale();
+    assert.ok(comfort.isStale());
+
+    humidity.notifyOfExternalUpdate(50);
+    assert.ok(!comfort.isStale());
+  });
+
+  it('should follow dependencies whose notifications are limited', () => {
+    const level = new Value(20, null, {deadband: 1, minInterval: 60000});
+    thing.addProperty(new Property(thing, 'level', level, {type: 'number'}));
+    const double = new ComputedProperty(
+      thing, 'double', ['level'], (l) => l * 2, {type: 'number'});
+    thing.addProperty(double);
+
+    level.notifyOfExternalUpdate(20.5);
+    assert.equal(41, thing.getProperty('double'));
+
+    level.notifyOfExternalUpdate(25);
+    assert.equal(50, thing.getProperty('double'));
+  });
+
+  it('should refuse unknown dependencies', () => {
+    assert.throws(() => {
+      return new ComputedProperty(thing, 'x', ['pressure'], () => 0);
+    }, /Unknown dependency of x: pressure/);
+  });
+
+  it('should stop computing once removed', () => {
+    const comfort = addComputed((t, h) => t + h);
+    thing.removeProperty(comfort);
+
+    temperature.notifyOfExternalUpdate(30);
+    assert.equal(70, comfort.getValue());
+    assert.equal(0, temperature.listenerCount('change'));
+    assert.equal(0, humidity.listenerCount('change'));
+  });
+});
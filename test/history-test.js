@@ -0,0 +1,178 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {Property, Thing, Value} = require('../index');
+const History = require('../lib/history');
+const utils = require('../lib/utils');
+
+/**
+ * Read the samples of a history log file.
+ *
+ * @param {String} file Path of the file
+ * @returns {*[]} The values, oldest first.
+ */
+function readValues(file) {
+  return fs.readFileSync(file, 'utf8').split('\n')
+    .filter((line) => line)
+    .map((line) => JSON.parse(line).value);
+}
+
+describe('History', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webthing-history-'));
+  });
+
+  afterEach(() => {
+    for (const name of fs.readdirSync(dir)) {
+      fs.unlinkSync(path.join(dir, name));
+    }
+
+    fs.rmdirSync(dir);
+  });
+
+  describe('samples', () => {
+    it('should keep the newest samples', () => {
+      const history = new History({size: 3});
+      for (let i = 0; i < 5; ++i) {
+        history.record(i);
+      }
+
+      assert.deepEqual([2, 3, 4], history.getSamples().map((s) => s.value));
+    });
+
+    it('should apply order and pagination', () => {
+      const history = new History();
+      for (let i = 0; i < 5; ++i) {
+        history.record(i);
+      }
+
+      const samples = history.getSamples({order: 'desc', offset: 1, limit: 2});
+      assert.deepEqual([3, 2], samples.map((s) => s.value));
+    });
+
+    it('should downsample numeric values to their mean', () => {
+      const history = new History();
+      history.push(Date.parse('2019-01-01T00:00:00Z'), 1);
+      history.push(Date.parse('2019-01-01T00:00:30Z'), 3);
+      history.push(Date.parse('2019-01-01T00:01:10Z'), 'on');
+      history.push(Date.parse('2019-01-01T00:01:20Z'), 'off');
+
+      assert.deepEqual([
+        {timestamp: '2019-01-01T00:00:00+00:00', value: 2},
+        {timestamp: '2019-01-01T00:01:00+00:00', value: 'off'},
+      ], history.getSamples({interval: 60}));
+    });
+  });
+
+  describe('log file', () => {
+    it('should read samples back', () => {
+      const file = path.join(dir, 'history.log');
+      const history = new History({file});
+
+      return history.flush().then(() => {
+        history.record(1);
+        history.record(2);
+        return history.flush();
+      }).then(() => {
+        assert.deepEqual([1, 2], readValues(file));
+
+        const restored = new History({file});
+        return restored.flush().then(() => {
+          assert.deepEqual([1, 2], restored.getSamples().map((s) => s.value));
+        });
+      });
+    });
+
+    it('should put samples recorded while reading after the file', () => {
+      const file = path.join(dir, 'history.log');
+      fs.writeFileSync(file, [1, 2].map((value) => {
+        const timestamp = utils.timestamp(new Date(Date.now() - 1000));
+        return `${JSON.stringify({timestamp, value})}\n`;
+      }).join(''));
+
+      const history = new History({file});
+      history.record(3);
+
+      return history.flush().then(() => {
+        assert.deepEqual([1, 2, 3], history.getSamples().map((s) => s.value));
+        assert.deepEqual([1, 2, 3], readValues(file));
+      });
+    });
+
+    it('should compact the file on startup', () => {
+      const file = path.join(dir, 'history.log');
+      const timestamp = utils.timestamp();
+      const lines = [];
+      for (let i = 0; i < 10; ++i) {
+        lines.push(`${JSON.stringify({timestamp, value: i})}\n`);
+      }
+
+      fs.writeFileSync(file, `${lines.join('')}{"timestamp":`);
+
+      const history = new History({file, size: 3});
+      return history.flush().then(() => {
+        assert.deepEqual([7, 8, 9], readValues(file));
+      });
+    });
+
+    it('should keep the file bounded while recording', () => {
+      const file = path.join(dir, 'history.log');
+      const history = new History({file, size: 3});
+
+      return history.flush().then(() => {
+        for (let i = 0; i < 20; ++i) {
+          history.record(i);
+        }
+
+        return history.flush();
+      }).then(() => {
+        const values = readValues(file);
+        assert.ok(values.length <= 6);
+        assert.deepEqual([17, 18, 19], values.slice(-3));
+
+        // Every sample is written once, in order.
+        for (let i = 1; i < values.length; ++i) {
+          assert.equal(values[i - 1] + 1, values[i]);
+        }
+      });
+    });
+  });
+
+  describe('property history', () => {
+    it('should record changes which are not notified', () => {
+      const thing = new Thing('urn:dev:test', 'Test', [], 'Test');
+      const value = new Value(0, null, {minInterval: 60000, deadband: 5});
+      const property = new Property(thing, 'level', value, {type: 'number'});
+      thing.addProperty(property);
+
+      const updates = [];
+      value.on('update', (v) => updates.push(v));
+
+      const history = property.enableHistory();
+      value.notifyOfExternalUpdate(10);
+      value.notifyOfExternalUpdate(11);
+      value.notifyOfExternalUpdate(30);
+
+      assert.deepEqual([10], updates);
+      assert.deepEqual([0, 10, 11, 30],
+                       history.getSamples().map((s) => s.value));
+    });
+
+    it('should stop recording once the property is removed', () => {
+      const thing = new Thing('urn:dev:test', 'Test', [], 'Test');
+      const value = new Value(0);
+      const property = new Property(thing, 'level', value, {type: 'number'});
+      thing.addProperty(property);
+
+      const history = property.enableHistory();
+      thing.removeProperty(property);
+      value.notifyOfExternalUpdate(1);
+
+      assert.deepEqual([0], history.getSamples().map((s) => s.value));
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Helpers shared by the tests.
+ */
+
+'use strict';
+
+module.exports = {
+  /**
+   * Wait for pending promise callbacks to run.
+   *
+   * @returns {Object} Promise which resolves once they ran.
+   */
+  flush: function() {
+    return new Promise((resolve) => setImmediate(resolve));
+  },
+
+  /**
+   * Wait for some time.
+   *
+   * @param {Number} ms Milliseconds to wait
+   * @returns {Object} Promise which resolves once the time passed.
+   */
+  wait: function(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  },
+
+  /**
+   * Create a promise along with the functions settling it.
+   *
+   * @returns {Object} The promise, resolve and reject.
+   */
+  defer: function() {
+    const deferred = {};
+    deferred.promise = new Promise((resolve, reject) => {
+      deferred.resolve = resolve;
+      deferred.reject = reject;
+    });
+    return deferred;
+  },
+
+  /**
+   * Record the messages sent to websocket subscribers of a thing.
+   *
+   * @param {Object} thing The thing
+   * @returns {Object[]} The messages, as they are sent.
+   */
+  subscribe: function(thing) {
+    const messages = [];
+    thing.addSubscriber({
+      send: (message) => messages.push(JSON.parse(message)),
+    });
+    return messages;
+  },
+
+  /**
+   * Collect the warnings logged while running a function.
+   *
+   * @param {function} fn The function
+   * @returns {String[]} The warnings.
+   */
+  captureWarnings: function(fn) {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = (message) => warnings.push(message);
+
+    try {
+      fn();
+    } finally {
+      console.warn = warn;
+    }
+
+    return warnings;
+  },
+};
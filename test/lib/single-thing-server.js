@@ -21,11 +21,11 @@ class TestTimerAction extends Action {
 
   performAction() {
     return new Promise((resolve) => {
-      setTimeout(() => {
-        this.thing.setProperty('on', false);
-        this.thing.addEvent(new OverheatedEvent(this.thing, 102));
-        resolve();
-      }, this.input.duration);
+      setTimeout(resolve, this.input.duration);
+    }).then(() => {
+      return this.thing.setProperty('on', false);
+    }).then(() => {
+      this.thing.addEvent(new OverheatedEvent(this.thing, 102));
     });
   }
 }
@@ -0,0 +1,119 @@
+const assert = require('assert');
+
+const {Property, Thing, Value} = require('../index');
+const {subscribe} = require('./lib/helpers');
+
+/**
+ * Create a property of a new thing.
+ *
+ * @param {*} initial Initial value
+ * @param {Object} metadata Metadata of the property
+ * @returns {Object} The property.
+ */
+function createProperty(initial, metadata) {
+  const thing = new Thing('urn:dev:test', 'Test', [], 'Test');
+  const property =
+    new Property(thing, 'test', new Value(initial), metadata);
+  thing.addProperty(property);
+  return property;
+}
+
+describe('Property', () => {
+  describe('null values', () => {
+    it('should accept null if the schema allows it', () => {
+      const property = createProperty(20, {type: ['number', 'null']});
+
+      return property.setValue(null).then(() => {
+        assert.equal(null, property.getValue());
+      });
+    });
+
+    it('should refuse null otherwise', () => {
+      const property = createProperty(20, {type: 'number'});
+      assert.throws(() => property.setValue(null), /Invalid property value/);
+      assert.equal(20, property.getValue());
+    });
+
+    it('should report stale values to subscribers', () => {
+      const property = createProperty(20, {type: 'number'});
+      const thing = property.getThing();
+      const messages = subscribe(thing);
+
+      property.value.markStale();
+      assert.deepEqual(['test'], thing.getStaleProperties());
+      assert.deepEqual({
+        messageType: 'propertyStatus',
+        data: {test: 20},
+        stale: ['test'],
+      }, messages[0]);
+
+      property.value.notifyOfExternalUpdate(21);
+      assert.deepEqual([], thing.getStaleProperties());
+      assert.deepEqual({
+        messageType: 'propertyStatus',
+        data: {test: 20},
+      }, messages[1]);
+      assert.deepEqual({
+        messageType: 'propertyStatus',
+        data: {test: 21},
+      }, messages[2]);
+    });
+  });
+
+  describe('observable and write-only properties', () => {
+    let thing;
+
+    beforeEach(() => {
+      thing = new Thing('urn:dev:lock', 'Lock', [], 'Lock');
+      thing.addProperty(new Property(
+        thing, 'locked', new Value(true), {type: 'boolean'}));
+      thing.addProperty(new Property(
+        thing, 'battery', new Value(90), {type: 'integer', observable: false}));
+      thing.addProperty(new Property(
+        thing, 'code', new Value('1234'), {type: 'string', writeOnly: true}));
+    });
+
+    it('should leave write-only properties out of reads', () => {
+      assert.deepEqual({locked: true, battery: 90}, thing.getProperties());
+    });
+
+    it('should only notify observable properties', () => {
+      const messages = subscribe(thing);
+
+      thing.findProperty('battery').value.notifyOfExternalUpdate(80);
+      thing.findProperty('code').value.notifyOfExternalUpdate('0000');
+      thing.findProperty('locked').value.notifyOfExternalUpdate(false);
+
+      assert.deepEqual([{
+        messageType: 'propertyStatus',
+        data: {locked: false},
+      }], messages);
+    });
+
+    it('should describe the effective flags in the W3C dialect', () => {
+      const origins = {http: 'http://localhost', ws: 'ws://localhost'};
+      const description =
+        thing.asThingDescription({dialect: 'w3c', origins}).properties;
+
+      assert.equal(true, description.locked.observable);
+      assert.equal(false, description.locked.writeOnly);
+      assert.equal(false, description.battery.observable);
+      assert.equal(false, description.code.observable);
+      assert.equal(true, description.code.writeOnly);
+
+      const ops = (name) => [].concat(
+        ...description[name].forms.map((form) => form.op));
+      assert.ok(ops('locked').includes('observeproperty'));
+      assert.ok(!ops('battery').includes('observeproperty'));
+      assert.ok(!ops('code').includes('readproperty'));
+      assert.ok(ops('code').includes('writeproperty'));
+    });
+
+    it('should leave the Mozilla dialect as declared', () => {
+      const description = thing.asThingDescription().properties;
+      assert.ok(!description.locked.hasOwnProperty('observable'));
+      assert.equal(false, description.battery.observable);
+      assert.equal(true, description.code.writeOnly);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const assert = require('assert');
+
+const query = require('../lib/query');
+
+/**
+ * Build an event description.
+ *
+ * @param {String} name Name of the event
+ * @param {String} timestamp Time of the event
+ * @returns {Object} The description.
+ */
+function event(name, timestamp) {
+  return {[name]: {timestamp}};
+}
+
+/**
+ * Build an action description.
+ *
+ * @param {String} status Status of the action
+ * @param {String} timeRequested Time the action was requested
+ * @returns {Object} The description.
+ */
+function action(status, timeRequested) {
+  return {fade: {status, timeRequested}};
+}
+
+describe('query', () => {
+  describe('parse()', () => {
+    it('should return null without parameters', () => {
+      assert.equal(null, query.parse({}));
+      assert.equal(null, query.parse({unknown: 'x'}));
+    });
+
+    it('should parse times, counts and order', () => {
+      const parsed = query.parse({
+        since: '2019-01-01T00:00:00+00:00',
+        until: '2019-01-02T00:00:00+00:00',
+        limit: '10',
+        offset: '5',
+        order: 'desc',
+      });
+
+      assert.deepEqual({
+        since: Date.parse('2019-01-01T00:00:00Z'),
+        until: Date.parse('2019-01-02T00:00:00Z'),
+        limit: 10,
+        offset: 5,
+        order: 'desc',
+      }, parsed);
+    });
+
+    it('should take the last of repeated parameters', () => {
+      assert.deepEqual({limit: 3}, query.parse({limit: ['1', '3']}));
+    });
+
+    it('should refuse invalid values', () => {
+      assert.throws(() => query.parse({since: 'yesterday'}));
+      assert.throws(() => query.parse({limit: '-1'}));
+      assert.throws(() => query.parse({offset: 'two'}));
+      assert.throws(() => query.parse({order: 'random'}));
+    });
+
+    it('should only accept the status parameter where supported', () => {
+      assert.throws(() => query.parse({status: 'pending'}),
+                    /Unsupported status parameter/);
+      assert.deepEqual({status: ['pending', 'queued']},
+                       query.parse({status: 'pending,queued'}, ['status']));
+    });
+  });
+
+  describe('apply()', () => {
+    const events = [
+      event('a', '2019-01-01T00:00:02+00:00'),
+      event('b', '2019-01-01T00:00:01+00:00'),
+      event('c', '2019-01-01T00:00:03+00:00'),
+      event('d', '2019-01-01T00:00:03+00:00'),
+    ];
+
+    it('should leave descriptions as they are without a query', () => {
+      assert.deepEqual({items: events, total: 4}, query.apply(events, null));
+    });
+
+    it('should filter by time and sort oldest first', () => {
+      const result = query.apply(events, query.parse({
+        since: '2019-01-01T00:00:02+00:00',
+      }));
+
+      assert.equal(3, result.total);
+      assert.deepEqual(['a', 'c', 'd'],
+                       result.items.map((d) => Object.keys(d)[0]));
+    });
+
+    it('should sort newest first, latest added first at equal times', () => {
+      const result = query.apply(events, query.parse({order: 'desc'}));
+      assert.deepEqual(['d', 'c', 'a', 'b'],
+                       result.items.map((d) => Object.keys(d)[0]));
+    });
+
+    it('should paginate', () => {
+      const result = query.apply(events, query.parse({
+        limit: '2',
+        offset: '1',
+      }));
+
+      assert.equal(4, result.total);
+      assert.deepEqual(['a', 'c'], result.items.map((d) => Object.keys(d)[0]));
+    });
+
+    it('should filter actions by status', () => {
+      const actions = [
+        action('completed', '2019-01-01T00:00:01+00:00'),
+        action('pending', '2019-01-01T00:00:02+00:00'),
+        action('queued', '2019-01-01T00:00:03+00:00'),
+      ];
+
+      const result = query.apply(
+        actions, query.parse({status: 'pending,queued'}, ['status']));
+      assert.deepEqual(['pending', 'queued'],
+                       result.items.map((d) => d.fade.status));
+    });
+  });
+
+  describe('getLinkHeader()', () => {
+    it('should link to adjacent pages', () => {
+      const params = {limit: '2', offset: '2'};
+      const header = query.getLinkHeader(
+        '/events', params, query.parse(params), 5);
+
+      assert.equal('</events?limit=2&offset=4>; rel="next", ' +
+                   '</events?limit=2&offset=0>; rel="prev"', header);
+    });
+
+    it('should not link without pagination', () => {
+      assert.equal(null, query.getLinkHeader('/events', {}, null, 5));
+
+      const params = {limit: '10'};
+      assert.equal(null, query.getLinkHeader(
+        '/events', params, query.parse(params), 5));
+    });
+  });
+});
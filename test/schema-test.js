@@ -0,0 +1,109 @@
+const assert = require('assert');
+
+const {Action, Event, Property, Thing, Value} = require('../index');
+const schema = require('../lib/schema');
+const {subscribe} = require('./lib/helpers');
+
+describe('schema', () => {
+  describe('compile()', () => {
+    it('should compile a schema once', () => {
+      const metadata = {type: 'integer', minimum: 0};
+      const validate = schema.compile(metadata);
+
+      assert.equal(validate, schema.compile(metadata));
+      assert.ok(validate(1));
+      assert.ok(!validate(-1));
+    });
+
+    it('should ignore metadata which is not a schema keyword', () => {
+      const validate = schema.compile({
+        '@type': 'LevelProperty',
+        title: 'Level',
+        type: 'string',
+        unit: 'percent',
+        format: 'unknown',
+      });
+
+      assert.ok(validate('high'));
+    });
+
+    it('should describe the errors of the last validation', () => {
+      const validate = schema.compile({type: 'number', maximum: 10});
+      assert.ok(!validate(11));
+      assert.ok(/should be <= 10/.test(schema.errorsText(validate)));
+    });
+  });
+
+  describe('property metadata', () => {
+    it('should validate values against replaced metadata', () => {
+      const thing = new Thing('urn:dev:test', 'Test', [], 'Test');
+      const property = new Property(
+        thing, 'level', new Value(50), {type: 'integer', maximum: 100});
+      thing.addProperty(property);
+
+      const messages = subscribe(thing);
+
+      property.setMetadata({type: 'integer', maximum: 10});
+      assert.throws(() => property.setValue(50), /Invalid property value/);
+      assert.equal('thingDescriptionChanged', messages[0].messageType);
+
+      return property.setValue(5).then(() => {
+        assert.equal(5, property.getValue());
+      });
+    });
+  });
+
+  describe('action and event metadata', () => {
+    let thing;
+
+    beforeEach(() => {
+      thing = new Thing('urn:dev:test', 'Test', [], 'Test');
+    });
+
+    it('should validate inputs against replaced metadata', () => {
+      thing.addAvailableAction('fade', {
+        input: {type: 'integer', maximum: 100},
+      }, class extends Action {
+        constructor(t, input) {
+          super('1', t, 'fade', input);
+        }
+      });
+
+      const messages = subscribe(thing);
+
+      thing.setActionMetadata('fade', {input: {type: 'integer', maximum: 10}});
+      assert.equal('thingDescriptionChanged', messages[0].messageType);
+      assert.deepEqual({type: 'integer', maximum: 10},
+                       messages[0].data.actions.fade.input);
+      assert.ok(!thing.performAction('fade', 50));
+      assert.ok(thing.performAction('fade', 5));
+    });
+
+    it('should validate events against replaced metadata', () => {
+      thing.addAvailableEvent('overheated', {type: 'number'});
+      thing.setEventValidation('strict');
+
+      thing.setEventMetadata('overheated', {type: 'string'});
+      assert.throws(
+        () => thing.addEvent(new Event(thing, 'overheated', 102)),
+        /Invalid data for event overheated/);
+      thing.addEvent(new Event(thing, 'overheated', 'hot'));
+    });
+
+    it('should ignore metadata edited in place', () => {
+      const metadata = {type: 'number'};
+      thing.addAvailableEvent('overheated', metadata);
+      thing.setEventValidation('strict');
+
+      metadata.type = 'string';
+      thing.addEvent(new Event(thing, 'overheated', 102));
+    });
+
+    it('should refuse unknown affordances', () => {
+      assert.throws(() => thing.setActionMetadata('fade', {}),
+                    /Unknown action: fade/);
+      assert.throws(() => thing.setEventMetadata('overheated', {}),
+                    /Unknown event: overheated/);
+    });
+  });
+});
@@ -0,0 +1,444 @@
+const assert = require('assert');
+const http = require('http');
+const WebSocket = require('ws');
+
+const {
+  Action,
+  Event,
+  Property,
+  SingleThing,
+  Thing,
+  ThingModel,
+  Value,
+  WebThingServer,
+} = require('../index');
+
+const PORT = 8887;
+
+/**
+ * Send a request to the test server.
+ *
+ * @param {String} method The request method
+ * @param {String} path The request path
+ * @param {Object} body (Optional) The JSON body
+ * @param {Object} headers (Optional) Additional request headers
+ * @returns {Object} Promise which resolves to {status, headers, body}.
+ */
+function request(method, path, body, headers) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: 'localhost',
+      port: PORT,
+      method,
+      path,
+      headers: Object.assign({'Content-Type': 'application/json'}, headers),
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: data ? JSON.parse(data) : null,
+        });
+      });
+    });
+
+    req.on('error', reject);
+    if (body) {
+      req.write(JSON.stringify(body));
+    }
+
+    req.end();
+  });
+}
+
+/**
+ * Serve a thing on the test port for the tests of a suite.
+ *
+ * @param {function} createThing Called to create the thing to serve
+ */
+function serve(createThing) {
+  let server;
+
+  before((done) => {
+    server = new WebThingServer(new SingleThing(createThing()), PORT);
+    server.server.listen({port: PORT}, done);
+  });
+
+  after((done) => {
+    server.server.close(done);
+  });
+}
+
+/**
+ * Open a websocket to the test server.
+ *
+ * @param {String} path The request path
+ * @returns {Object} Promise which resolves to the open websocket.
+ */
+function connect(path) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://localhost:${PORT}${path}`);
+    ws.on('open', () => resolve(ws));
+    ws.on('error', reject);
+  });
+}
+
+/**
+ * Wait for the next message on a websocket.
+ *
+ * @param {Object} ws The websocket
+ * @returns {Object} Promise which resolves to the parsed message.
+ */
+function receive(ws) {
+  return new Promise((resolve) => {
+    ws.once('message', (data) => resolve(JSON.parse(data)));
+  });
+}
+
+describe('WebThingServer', () => {
+  describe('POST /actions', () => {
+    serve(() => {
+      const thing = new Thing('urn:dev:fader', 'Fader', [], 'Fader');
+
+      class FadeAction extends Action {
+        constructor(thing, input) {
+          super(`${FadeAction.count++}`, thing, 'fade', input);
+        }
+
+        performAction() {
+          return new Promise(() => {});
+        }
+      }
+
+      FadeAction.count = 0;
+
+      thing.addAvailableAction('fade', {}, FadeAction, {policy: 'queue'});
+      thing.addAvailableAction('blink', {}, FadeAction, {policy: 'reject'});
+      return thing;
+    });
+
+    it('should answer with the status of a started action', () => {
+      return request('POST', '/actions', {fade: {}}).then((res) => {
+        assert.equal(201, res.status);
+        assert.equal('pending', res.body.fade.status);
+      });
+    });
+
+    it('should answer with the status of a queued action', () => {
+      return request('POST', '/actions/fade', {fade: {}}).then((res) => {
+        assert.equal(201, res.status);
+        assert.equal('queued', res.body.fade.status);
+      });
+    });
+
+    it('should reject an action while busy', () => {
+      return request('POST', '/actions/blink', {blink: {}}).then((res) => {
+        assert.equal(201, res.status);
+        return request('POST', '/actions/blink', {blink: {}});
+      }).then((res) => {
+        assert.equal(409, res.status);
+      });
+    });
+  });
+
+  describe('GET /', () => {
+    serve(() => {
+      const thing = new Thing('urn:dev:lamp', 'Lamp', [], 'Lamp');
+      thing.addProperty(new Property(
+        thing, 'on', new Value(true), {type: 'boolean'}));
+      return thing;
+    });
+
+    it('should serve the Mozilla dialect by default', () => {
+      return request('GET', '/').then((res) => {
+        assert.equal(200, res.status);
+        assert.ok(res.headers['content-type'].startsWith('application/json'));
+        assert.ok(res.body.hasOwnProperty('links'));
+        assert.ok(!res.body.properties.on.hasOwnProperty('forms'));
+      });
+    });
+
+    it('should serve the W3C dialect when asked for', () => {
+      return request('GET', '/?dialect=w3c').then((res) => {
+        assert.ok(
+          res.headers['content-type'].startsWith('application/td+json'));
+        assert.equal(`http://localhost:${PORT}/properties/on`,
+                     res.body.properties.on.forms[0].href);
+        return request('GET', '/', null, {Accept: 'application/td+json'});
+      }).then((res) => {
+        assert.ok(res.body.hasOwnProperty('forms'));
+      });
+    });
+
+    it('should refuse unknown dialects', () => {
+      return request('GET', '/?dialect=td').then((res) => {
+        assert.equal(400, res.status);
+      });
+    });
+  });
+
+  describe('websocket', () => {
+    let thing;
+
+    serve(() => {
+      thing = new Thing('urn:dev:lamp', 'Lamp', [], 'Lamp');
+      return thing;
+    });
+
+    it('should send changed descriptions as served over HTTP', () => {
+      let sockets;
+      return Promise.all([
+        connect('/'),
+        connect('/?dialect=w3c'),
+      ]).then((result) => {
+        sockets = result;
+        const messages = Promise.all(sockets.map(receive));
+        thing.addProperty(new Property(
+          thing, 'on', new Value(true), {type: 'boolean'}));
+        return messages;
+      }).then(([mozilla, w3c]) => {
+        sockets.forEach((ws) => ws.close());
+
+        assert.equal('thingDescriptionChanged', mozilla.messageType);
+        assert.equal(`http://localhost:${PORT}/`, mozilla.data.base);
+        assert.equal('nosec_sc', mozilla.data.security);
+        assert.deepEqual(
+          {rel: 'alternate', href: `ws://localhost:${PORT}/`},
+          mozilla.data.links.find((l) => l.rel === 'alternate'));
+
+        assert.equal('thingDescriptionChanged', w3c.messageType);
+        assert.equal(`http://localhost:${PORT}/properties/on`,
+                     w3c.data.properties.on.forms[0].href);
+        assert.equal('nosec_sc', w3c.data.security);
+      });
+    });
+  });
+
+  describe('GET /model', () => {
+    const model = {
+      '@context': ['https://www.w3.org/2022/wot/td/v1.1'],
+      '@type': 'tm:ThingModel',
+      id: 'urn:dev:lamp:{{SERIAL}}',
+      title: 'Lamp',
+      properties: {
+        on: {type: 'boolean'},
+      },
+    };
+
+    serve(() => new ThingModel(model).instantiate({SERIAL: '42'}));
+
+    it('should serve the model of the thing', () => {
+      return request('GET', '/model').then((res) => {
+        assert.equal(200, res.status);
+        assert.ok(
+          res.headers['content-type'].startsWith('application/tm+json'));
+        assert.deepEqual(model, res.body);
+        return request('GET', '/');
+      }).then((res) => {
+        assert.equal('https://iot.mozilla.org/schemas', res.body['@context']);
+        assert.equal('urn:dev:lamp:42', res.body.id);
+        assert.ok(res.body.links.some((l) => l.href === '/model'));
+      });
+    });
+  });
+
+  describe('GET /events', () => {
+    serve(() => {
+      const thing = new Thing('urn:dev:sensor', 'Sensor', [], 'Sensor');
+      thing.addAvailableEvent('tick', {type: 'integer'});
+      for (let i = 0; i < 3; ++i) {
+        thing.addEvent(new Event(thing, 'tick', i));
+      }
+
+      return thing;
+    });
+
+    it('should paginate events with a Link header', () => {
+      return request('GET', '/events/tick?limit=1&offset=1').then((res) => {
+        assert.equal(200, res.status);
+        assert.deepEqual([1], res.body.map((d) => d.tick.data));
+        assert.equal('</events/tick?limit=1&offset=2>; rel="next", ' +
+                     '</events/tick?limit=1&offset=0>; rel="prev"',
+                     res.headers.link);
+      });
+    });
+
+    it('should sort events newest first', () => {
+      return request('GET', '/events?order=desc').then((res) => {
+        assert.deepEqual([2, 1, 0], res.body.map((d) => d.tick.data));
+        assert.ok(!res.headers.hasOwnProperty('link'));
+      });
+    });
+
+    it('should refuse invalid queries', () => {
+      return request('GET', '/events?since=yesterday').then((res) => {
+        assert.equal(400, res.status);
+        return request('GET', '/events?status=pending');
+      }).then((res) => {
+        assert.equal(400, res.status);
+      });
+    });
+  });
+
+  describe('GET /properties/<name>/history', () => {
+    serve(() => {
+      const thing = new Thing('urn:dev:sensor', 'Sensor', [], 'Sensor');
+      const level =
+        new Property(thing, 'level', new Value(0), {type: 'number'});
+      thing.addProperty(level);
+      thing.addProperty(new Property(thing, 'other', new Value(0)));
+
+      level.enableHistory();
+      level.value.notifyOfExternalUpdate(1);
+      level.value.notifyOfExternalUpdate(2);
+      return thing;
+    });
+
+    it('should serve the recorded values', () => {
+      return request('GET', '/properties/level/history?order=desc&limit=2')
+        .then((res) => {
+          assert.equal(200, res.status);
+          assert.deepEqual([2, 1], res.body.level.map((s) => s.value));
+        });
+    });
+
+    it('should not serve properties without history', () => {
+      return request('GET', '/properties/other/history').then((res) => {
+        assert.equal(404, res.status);
+        return request('GET', '/properties/level/history?interval=0');
+      }).then((res) => {
+        assert.equal(400, res.status);
+      });
+    });
+  });
+
+  describe('PUT /properties/<name>', () => {
+    serve(() => {
+      const thing = new Thing('urn:dev:lamp', 'Lamp', [], 'Lamp');
+      const forwarder = () => new Promise((resolve) => setTimeout(resolve, 10));
+      thing.addProperty(new Property(
+        thing, 'on', new Value(false, forwarder), {type: 'boolean'}));
+      thing.addProperty(new Property(
+        thing,
+        'level',
+        new Value(0, () => Promise.reject(new Error('Offline'))),
+        {type: 'integer'}));
+      return thing;
+    });
+
+    it('should answer once the forwarder took over the value', () => {
+      return request('PUT', '/properties/on', {on: true}).then((res) => {
+        assert.equal(200, res.status);
+        assert.deepEqual({on: true}, res.body);
+      });
+    });
+
+    it('should report a failing forwarder', () => {
+      return request('PUT', '/properties/level', {level: 5}).then((res) => {
+        assert.equal(500, res.status);
+        return request('GET', '/properties/level');
+      }).then((res) => {
+        assert.deepEqual({level: 0}, res.body);
+      });
+    });
+
+    it('should refuse invalid values', () => {
+      return request('PUT', '/properties/level', {level: 'high'})
+        .then((res) => {
+          assert.equal(400, res.status);
+        });
+    });
+  });
+
+  describe('PUT /properties', () => {
+    serve(() => {
+      const thing = new Thing('urn:dev:lamp', 'Lamp', [], 'Lamp');
+      thing.addProperty(new Property(
+        thing, 'brightness', new Value(50), {type: 'integer', maximum: 100}));
+      thing.addProperty(new Property(
+        thing, 'color', new Value('#ffffff'), {type: 'string'}));
+      return thing;
+    });
+
+    it('should set several values at once', () => {
+      const values = {brightness: 80, color: '#ff0000'};
+      return request('PUT', '/properties', values).then((res) => {
+        assert.equal(200, res.status);
+        assert.deepEqual(values, res.body);
+      });
+    });
+
+    it('should set none of the values if one is invalid', () => {
+      const values = {brightness: 20, color: 0};
+      return request('PUT', '/properties', values).then((res) => {
+        assert.equal(400, res.status);
+        return request('GET', '/properties');
+      }).then((res) => {
+        assert.deepEqual({brightness: 80, color: '#ff0000'}, res.body);
+        return request('PUT', '/properties', {});
+      }).then((res) => {
+        assert.equal(400, res.status);
+      });
+    });
+  });
+
+  describe('write-only properties', () => {
+    serve(() => {
+      const thing = new Thing('urn:dev:lock', 'Lock', [], 'Lock');
+      thing.addProperty(new Property(
+        thing, 'code', new Value('1234'), {type: 'string', writeOnly: true}));
+      return thing;
+    });
+
+    it('should refuse to read them', () => {
+      return request('GET', '/properties/code').then((res) => {
+        assert.equal(403, res.status);
+        return request('GET', '/properties');
+      }).then((res) => {
+        assert.deepEqual({}, res.body);
+      });
+    });
+
+    it('should write them without echoing the value', () => {
+      return request('PUT', '/properties/code', {code: '0000'}).then((res) => {
+        assert.equal(204, res.status);
+        assert.equal(null, res.body);
+      });
+    });
+  });
+
+  describe('GET /properties', () => {
+    let thing;
+
+    serve(() => {
+      thing = new Thing('urn:dev:sensor', 'Sensor', [], 'Sensor');
+      thing.addProperty(new Property(
+        thing, 'temperature', new Value(20), {type: ['number', 'null']}));
+      return thing;
+    });
+
+    it('should flag stale values', () => {
+      thing.findProperty('temperature').value.markStale();
+      return request('GET', '/properties/temperature').then((res) => {
+        assert.deepEqual({temperature: 20}, res.body);
+        assert.equal('110 - "Response is Stale"', res.headers.warning);
+        return request('GET', '/properties');
+      }).then((res) => {
+        assert.equal('110 - "Response is Stale"', res.headers.warning);
+      });
+    });
+
+    it('should serve unknown values as null', () => {
+      thing.findProperty('temperature').value.markUnknown();
+      return request('GET', '/properties/temperature').then((res) => {
+        assert.deepEqual({temperature: null}, res.body);
+        assert.ok(!res.headers.hasOwnProperty('warning'));
+      });
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {FileStateStore, Property, Thing, Value} = require('../index');
+const {wait} = require('./lib/helpers');
+
+/**
+ * Create a thing with a writable and a read-only property.
+ *
+ * @param {String} id ID of the thing
+ * @param {function} forwarder (Optional) Forwarder of the writable value
+ * @returns {Object} The thing.
+ */
+function createThing(id, forwarder) {
+  const thing = new Thing(id, 'Heater', [], 'Heater');
+  thing.addProperty(new Property(
+    thing,
+    'setpoint',
+    new Value(18, forwarder),
+    {type: 'number', maximum: 30}));
+  thing.addProperty(new Property(
+    thing,
+    'temperature',
+    new Value(15),
+    {type: 'number', readOnly: true}));
+  return thing;
+}
+
+describe('FileStateStore', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webthing-state-'));
+    file = path.join(dir, 'state.json');
+  });
+
+  afterEach(() => {
+    for (const name of fs.readdirSync(dir)) {
+      fs.unlinkSync(path.join(dir, name));
+    }
+
+    fs.rmdirSync(dir);
+  });
+
+  describe('store', () => {
+    it('should load nothing without a file', () => {
+      return new FileStateStore(file).load('urn:dev:heater').then((values) => {
+        assert.deepEqual({}, values);
+      });
+    });
+
+    it('should keep the state of things saved at once', () => {
+      const store = new FileStateStore(file);
+      const a = createThing('urn:dev:a');
+      const b = createThing('urn:dev:b');
+      a.setStateStore(store);
+      b.setStateStore(store);
+
+      return Promise.all([a.saveState(), b.saveState()]).then(() => {
+        assert.deepEqual({
+          'urn:dev:a': {setpoint: 18},
+          'urn:dev:b': {setpoint: 18},
+        }, JSON.parse(fs.readFileSync(file, 'utf8')));
+      });
+    });
+
+    it('should ignore an invalid file', () => {
+      fs.writeFileSync(file, '{"urn:dev:heater":');
+
+      const error = console.error;
+      console.error = () => {};
+
+      return new FileStateStore(file).load('urn:dev:heater').then((values) => {
+        console.error = error;
+        assert.deepEqual({}, values);
+      }, (e) => {
+        console.error = error;
+        throw e;
+      });
+    });
+  });
+
+  describe('thing state', () => {
+    it('should restore writable properties', () => {
+      fs.writeFileSync(file, JSON.stringify({
+        'urn:dev:heater': {setpoint: 21, temperature: 25, unknown: 1},
+      }));
+
+      const forwarded = [];
+      const thing = createThing('urn:dev:heater', (v) => forwarded.push(v));
+      thing.setStateStore(new FileStateStore(file));
+
+      return thing.restoreState().then(() => {
+        assert.equal(21, thing.getProperty('setpoint'));
+        assert.equal(15, thing.getProperty('temperature'));
+        assert.deepEqual([21], forwarded);
+        return thing.saveState();
+      }).then(() => {
+        assert.deepEqual({'urn:dev:heater': {setpoint: 21}},
+                         JSON.parse(fs.readFileSync(file, 'utf8')));
+      });
+    });
+
+    it('should skip values which are no longer valid', () => {
+      fs.writeFileSync(file, JSON.stringify({
+        'urn:dev:heater': {setpoint: 35},
+      }));
+
+      const thing = createThing('urn:dev:heater');
+      thing.setStateStore(new FileStateStore(file));
+
+      const warn = console.warn;
+      const warnings = [];
+      console.warn = (message) => warnings.push(message);
+
+      return thing.restoreState().then(() => {
+        console.warn = warn;
+        assert.equal(18, thing.getProperty('setpoint'));
+        assert.equal(1, warnings.length);
+      }, (e) => {
+        console.warn = warn;
+        throw e;
+      });
+    });
+
+    it('should save changes in quick succession at once', () => {
+      const saved = [];
+      const thing = createThing('urn:dev:heater');
+      thing.setStateStore({
+        load: () => Promise.resolve({}),
+        save: (id, values) => {
+          saved.push(values);
+          return Promise.resolve();
+        },
+      }, {delay: 20});
+
+      return thing.setProperty('setpoint', 19).then(() => {
+        return thing.setProperty('setpoint', 20);
+      }).then(() => {
+        thing.findProperty('temperature').value.notifyOfExternalUpdate(16);
+        assert.deepEqual([], saved);
+        return wait(40);
+      }).then(() => {
+        assert.deepEqual([{setpoint: 20}], saved);
+      });
+    });
+
+    it('should not persist properties which opted out', () => {
+      const saved = [];
+      const thing = createThing('urn:dev:heater');
+      thing.setStateStore({
+        load: () => Promise.resolve({setpoint: 25}),
+        save: (id, values) => {
+          saved.push(values);
+          return Promise.resolve();
+        },
+      }, {delay: 0});
+
+      const setpoint = thing.findProperty('setpoint');
+      setpoint.setPersistent(false);
+      assert.ok(!setpoint.isPersistent());
+      assert.ok(!thing.findProperty('temperature').isPersistent());
+
+      return thing.restoreState().then(() => {
+        assert.equal(18, setpoint.getValue());
+        return setpoint.setValue(22);
+      }).then(() => wait(10)).then(() => {
+        assert.deepEqual([], saved);
+        return thing.saveState();
+      }).then(() => {
+        assert.deepEqual([{}], saved);
+      });
+    });
+  });
+});
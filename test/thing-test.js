@@ -0,0 +1,619 @@
+const assert = require('assert');
+
+const {Action, Event, Property, Thing, Value} = require('../index');
+const utils = require('../lib/utils');
+const {captureWarnings, flush, subscribe} = require('./lib/helpers');
+
+/**
+ * Create an action class performing actions with a function.
+ *
+ * @param {String} name Name of the action type
+ * @param {function} perform Called with the action to perform it
+ * @returns {Object} The action class.
+ */
+function createActionClass(name, perform) {
+  return class extends Action {
+    constructor(thing, input) {
+      super(utils.generateId(), thing, name, input);
+    }
+
+    performAction() {
+      return perform(this);
+    }
+  };
+}
+
+/**
+ * Get a timestamp some time ago.
+ *
+ * @param {Number} ms Milliseconds ago
+ * @returns {String} The timestamp.
+ */
+function ago(ms) {
+  return utils.timestamp(new Date(Date.now() - ms));
+}
+
+describe('Thing', () => {
+  describe('retention', () => {
+    let thing;
+
+    beforeEach(() => {
+      thing = new Thing('urn:dev:test', 'Test', [], 'Test');
+      thing.setEventValidation('off');
+    });
+
+    it('should keep the newest finished actions of each type', () => {
+      thing.setRetentionPolicy({maxCount: 2});
+      thing.addAvailableAction(
+        'done', {}, createActionClass('done', () => Promise.resolve()));
+      thing.addAvailableAction(
+        'wait', {}, createActionClass('wait', () => new Promise(() => {})));
+
+      const waiting = thing.performAction('wait');
+      waiting.start();
+
+      const done = [];
+      for (let i = 0; i < 4; ++i) {
+        const action = thing.performAction('done');
+        action.start();
+        done.push(action);
+      }
+
+      return flush().then(() => {
+        const ids = thing.getActionDescriptions('done')
+          .map((d) => d.done.href.split('/').pop());
+        assert.deepEqual([done[2].getId(), done[3].getId()], ids);
+        assert.equal(1, thing.getActionDescriptions('wait').length);
+      });
+    });
+
+    it('should never drop unfinished actions', () => {
+      thing.setRetentionPolicy({maxCount: 0});
+      thing.addAvailableAction(
+        'wait', {}, createActionClass('wait', () => new Promise(() => {})));
+
+      for (let i = 0; i < 3; ++i) {
+        thing.performAction('wait').start();
+      }
+
+      assert.equal(3, thing.getActionDescriptions().length);
+    });
+
+    it('should drop actions finished too long ago', () => {
+      thing.setRetentionPolicy({maxCount: null, maxAge: 1000});
+      thing.addAvailableAction(
+        'done', {}, createActionClass('done', () => Promise.resolve()));
+
+      const old = thing.performAction('done');
+      old.start();
+      const recent = thing.performAction('done');
+      recent.start();
+
+      return flush().then(() => {
+        old.timeCompleted = ago(5000);
+        assert.deepEqual([recent.getId()],
+                         thing.getActionDescriptions('done')
+                           .map((d) => d.done.href.split('/').pop()));
+      });
+    });
+
+    it('should apply the policy of an action type', () => {
+      thing.setRetentionPolicy({maxCount: 1});
+      thing.addAvailableAction(
+        'done',
+        {},
+        createActionClass('done', () => Promise.resolve()),
+        {retention: {maxCount: 3}});
+
+      for (let i = 0; i < 4; ++i) {
+        thing.performAction('done').start();
+      }
+
+      return flush().then(() => {
+        assert.equal(3, thing.getActionDescriptions('done').length);
+      });
+    });
+
+    it('should keep the newest events of each type', () => {
+      thing.setRetentionPolicy({maxCount: 2});
+      thing.addAvailableEvent('tick', {type: 'integer'});
+      thing.addAvailableEvent('alarm', {}, {retention: {maxCount: 1}});
+
+      for (let i = 0; i < 4; ++i) {
+        thing.addEvent(new Event(thing, 'tick', i));
+      }
+
+      thing.addEvent(new Event(thing, 'alarm'));
+      thing.addEvent(new Event(thing, 'alarm'));
+
+      assert.deepEqual([2, 3], thing.getEventDescriptions('tick')
+        .map((d) => d.tick.data));
+      assert.equal(1, thing.getEventDescriptions('alarm').length);
+    });
+
+    it('should drop events which are too old', () => {
+      thing.setRetentionPolicy({maxCount: null, maxAge: 1000});
+      thing.addAvailableEvent('tick', {type: 'integer'});
+
+      const old = new Event(thing, 'tick', 1);
+      old.time = ago(5000);
+      thing.addEvent(old);
+      thing.addEvent(new Event(thing, 'tick', 2));
+
+      assert.deepEqual([2], thing.getEventDescriptions()
+        .map((d) => d.tick.data));
+    });
+  });
+
+  describe('event validation', () => {
+    let thing;
+
+    beforeEach(() => {
+      thing = new Thing('urn:dev:test', 'Test', [], 'Test');
+      thing.addAvailableEvent('overheated', {type: 'number', unit: 'celsius'});
+      thing.addAvailableEvent('moved', {
+        title: 'Moved',
+        data: {
+          type: 'object',
+          required: ['x'],
+        },
+      });
+    });
+
+    it('should accept valid events', () => {
+      thing.setEventValidation('strict');
+      thing.addEvent(new Event(thing, 'overheated', 102));
+      thing.addEvent(new Event(thing, 'moved', {x: 1}));
+      assert.equal(2, thing.getEventDescriptions().length);
+    });
+
+    it('should warn about invalid events by default', () => {
+      const warnings = captureWarnings(() => {
+        thing.addEvent(new Event(thing, 'overheated', 'hot'));
+        thing.addEvent(new Event(thing, 'unknown'));
+      });
+
+      assert.equal(2, warnings.length);
+      assert.ok(warnings[0].startsWith('Test: Invalid data for event'));
+      assert.equal('Test: Undeclared event: unknown', warnings[1]);
+      assert.equal(2, thing.getEventDescriptions().length);
+    });
+
+    it('should reject invalid events when strict', () => {
+      thing.setEventValidation('strict');
+      assert.throws(() => thing.addEvent(new Event(thing, 'moved', {y: 1})),
+                    /Invalid data for event moved/);
+      assert.throws(() => thing.addEvent(new Event(thing, 'unknown')),
+                    /Undeclared event: unknown/);
+      assert.equal(0, thing.getEventDescriptions().length);
+    });
+
+    it('should not check events when off', () => {
+      thing.setEventValidation('off');
+      const warnings = captureWarnings(() => {
+        thing.addEvent(new Event(thing, 'overheated', 'hot'));
+      });
+
+      assert.equal(0, warnings.length);
+      assert.equal(1, thing.getEventDescriptions().length);
+    });
+
+    it('should refuse unknown modes', () => {
+      assert.throws(() => thing.setEventValidation('loud'),
+                    /Unknown event validation mode: loud/);
+    });
+  });
+
+  describe('dynamic affordances', () => {
+    let thing;
+
+    beforeEach(() => {
+      thing = new Thing('urn:dev:test', 'Test', [], 'Test');
+    });
+
+    it('should notify subscribers of added and removed affordances', () => {
+      const messages = subscribe(thing);
+
+      const property = new Property(thing, 'level', new Value(0));
+      thing.addProperty(property);
+      thing.addAvailableAction(
+        'done', {}, createActionClass('done', () => Promise.resolve()));
+      thing.addAvailableEvent('tick', {type: 'integer'});
+
+      assert.deepEqual(['thingDescriptionChanged'],
+                       Array.from(new Set(messages.map((m) => m.messageType))));
+      const last = messages[messages.length - 1].data;
+      assert.deepEqual(['level'], Object.keys(last.properties));
+      assert.deepEqual(['done'], Object.keys(last.actions));
+      assert.deepEqual(['tick'], Object.keys(last.events));
+
+      messages.length = 0;
+      thing.removeProperty(property);
+      thing.removeAvailableEvent('tick');
+      return thing.removeAvailableAction('done').then(() => {
+        assert.equal(3, messages.length);
+        assert.deepEqual({}, messages[2].data.properties);
+        assert.deepEqual({}, messages[2].data.actions);
+        assert.deepEqual({}, messages[2].data.events);
+      });
+    });
+
+    it('should stop notifying a removed property', () => {
+      const property = new Property(thing, 'level', new Value(0));
+      thing.addProperty(property);
+      thing.removeProperty(property);
+
+      const messages = subscribe(thing);
+      property.value.notifyOfExternalUpdate(1);
+      assert.deepEqual([], messages);
+      assert.equal(0, property.value.listenerCount('update'));
+    });
+
+    it('should stop notifying a replaced property', () => {
+      const property = new Property(thing, 'level', new Value(0));
+      thing.addProperty(property);
+      thing.addProperty(new Property(thing, 'level', new Value(5)));
+
+      const messages = subscribe(thing);
+      property.value.notifyOfExternalUpdate(1);
+      assert.deepEqual([], messages);
+      assert.equal(0, property.value.listenerCount('update'));
+      assert.equal(5, thing.getProperty('level'));
+    });
+
+    it('should cancel unfinished actions of a removed type', () => {
+      let cancelled = 0;
+      const Wait = createActionClass('wait', () => new Promise(() => {}));
+      Wait.prototype.cancel = () => {
+        cancelled++;
+        return Promise.resolve();
+      };
+      thing.addAvailableAction('wait', {}, Wait);
+
+      const action = thing.performAction('wait');
+      action.start();
+
+      return thing.removeAvailableAction('wait').then(() => {
+        assert.equal(1, cancelled);
+        assert.equal('cancelled', action.status);
+        assert.deepEqual([], thing.getActionDescriptions());
+        assert.equal(null, thing.performAction('wait'));
+      });
+    });
+
+    it('should drop past events of a removed type', () => {
+      thing.setEventValidation('off');
+      thing.addAvailableEvent('tick', {type: 'integer'});
+      thing.addEvent(new Event(thing, 'tick', 1));
+
+      thing.removeAvailableEvent('tick');
+      assert.deepEqual([], thing.getEventDescriptions());
+    });
+
+    it('should keep past actions and event subscribers when re-added', () => {
+      thing.setEventValidation('off');
+      const Done = createActionClass('done', () => Promise.resolve());
+      thing.addAvailableAction('done', {}, Done);
+      thing.performAction('done').start();
+
+      const events = [];
+      thing.addAvailableEvent('tick', {type: 'integer'});
+      thing.addEventSubscriber(
+        'tick', {send: (message) => events.push(JSON.parse(message))});
+
+      thing.addAvailableAction('done', {title: 'Done'}, Done);
+      thing.addAvailableEvent('tick', {type: 'number'});
+      thing.addEvent(new Event(thing, 'tick', 1.5));
+
+      return flush().then(() => {
+        assert.equal(1, thing.getActionDescriptions('done').length);
+        assert.equal(1, events.length);
+        assert.equal(1.5, events[0].data.tick.data);
+      });
+    });
+  });
+
+  describe('fromDescription()', () => {
+    const td = {
+      '@context': 'https://iot.mozilla.org/schemas',
+      '@type': ['Light'],
+      id: 'urn:dev:lamp',
+      title: 'Lamp',
+      description: 'A lamp',
+      properties: {
+        on: {
+          '@type': 'OnOffProperty',
+          type: 'boolean',
+          default: true,
+          links: [{rel: 'property', href: '/properties/on'}],
+        },
+        level: {type: 'integer', minimum: 0, maximum: 100},
+      },
+      actions: {
+        fade: {
+          input: {type: 'object', required: ['level']},
+          forms: [{href: '/actions/fade'}],
+        },
+        blink: {},
+      },
+      events: {
+        overheated: {type: 'number'},
+      },
+    };
+
+    it('should create the affordances of the description', () => {
+      const thing = Thing.fromDescription(td);
+
+      assert.equal('urn:dev:lamp', thing.getId());
+      assert.equal('Lamp', thing.getTitle());
+      assert.deepEqual(['Light'], thing.getType());
+      assert.equal('A lamp', thing.getDescription());
+      assert.deepEqual({on: true, level: null}, thing.getProperties());
+
+      const description = thing.asThingDescription();
+      assert.equal('OnOffProperty', description.properties.on['@type']);
+      assert.deepEqual([{rel: 'property', href: '/properties/on'}],
+                       description.properties.on.links);
+      assert.deepEqual(['fade', 'blink'], Object.keys(description.actions));
+      assert.ok(!description.actions.fade.hasOwnProperty('forms'));
+      assert.equal('number', description.events.overheated.type);
+    });
+
+    it('should bind values and forwarders by name', () => {
+      const forwarded = [];
+      const level = new Value(50);
+      const thing = Thing.fromDescription(td, {
+        properties: {
+          on: {value: false, forwarder: (v) => forwarded.push(v)},
+          level,
+        },
+      });
+
+      assert.equal(level, thing.findProperty('level').value);
+      assert.equal(false, thing.getProperty('on'));
+
+      return thing.setProperty('on', true).then(() => {
+        assert.deepEqual([true], forwarded);
+        assert.throws(() => thing.setProperty('level', 200),
+                      /Invalid property value/);
+      });
+    });
+
+    it('should bind action implementations by name', () => {
+      const inputs = [];
+      const thing = Thing.fromDescription(td, {
+        actions: {
+          fade: (input, action) => {
+            inputs.push(input);
+            assert.equal('fade', action.getName());
+            return Promise.resolve();
+          },
+        },
+      });
+
+      assert.equal(null, thing.performAction('fade', {}));
+
+      const fade = thing.performAction('fade', {level: 10});
+      fade.start();
+      const blink = thing.performAction('blink');
+      blink.start();
+
+      return flush().then(() => {
+        assert.deepEqual([{level: 10}], inputs);
+        assert.equal('completed', fade.status);
+        assert.equal('failed', blink.status);
+        assert.equal('Action not implemented: blink', blink.error.message);
+      });
+    });
+
+    it('should accept action classes', () => {
+      const Fade = createActionClass('fade', () => Promise.resolve());
+      const thing = Thing.fromDescription(td, {actions: {fade: Fade}});
+
+      const action = thing.performAction('fade', {level: 10});
+      assert.ok(action instanceof Fade);
+    });
+  });
+
+  describe('setProperties()', () => {
+    let thing;
+    let failing;
+
+    beforeEach(() => {
+      failing = false;
+      thing = new Thing('urn:dev:lamp', 'Lamp', [], 'Lamp');
+      thing.addProperty(new Property(
+        thing, 'brightness', new Value(50), {type: 'integer', maximum: 100}));
+      thing.addProperty(new Property(
+        thing,
+        'color',
+        new Value('#ffffff', () => {
+          return failing ? Promise.reject(new Error('Offline')) : null;
+        }),
+        {type: 'string'}));
+    });
+
+    it('should set all values with a single message', () => {
+      const messages = subscribe(thing);
+
+      return thing.setProperties({brightness: 80, color: '#ff0000'})
+        .then(() => {
+          assert.deepEqual({brightness: 80, color: '#ff0000'},
+                           thing.getProperties());
+          assert.deepEqual([{
+            messageType: 'propertyStatus',
+            data: {brightness: 80, color: '#ff0000'},
+          }], messages);
+        });
+    });
+
+    it('should validate all values before setting any', () => {
+      const messages = subscribe(thing);
+
+      assert.throws(() => thing.setProperties({brightness: 80, color: 1}),
+                    /Invalid property value/);
+      assert.throws(() => thing.setProperties({brightness: 80, unknown: 1}),
+                    /Unknown property: unknown/);
+      assert.equal(50, thing.getProperty('brightness'));
+      assert.deepEqual([], messages);
+    });
+
+    it('should set values back if one of them fails', () => {
+      const messages = subscribe(thing);
+      failing = true;
+
+      return thing.setProperties({brightness: 80, color: '#ff0000'})
+        .then(() => {
+          assert.fail('Setting the values should have failed');
+        }, (e) => {
+          assert.equal('Offline', e.message);
+          assert.deepEqual({brightness: 50, color: '#ffffff'},
+                           thing.getProperties());
+          assert.deepEqual([], messages);
+        });
+    });
+  });
+
+  describe('W3C descriptions', () => {
+    const origins = {http: 'http://host', ws: 'ws://host', coap: 'coap://host'};
+    let thing;
+
+    beforeEach(() => {
+      thing = new Thing('urn:dev:lamp', 'Lamp', ['Light'], 'A lamp');
+      thing.addProperty(new Property(
+        thing, 'on', new Value(true), {type: 'boolean'}));
+      thing.addAvailableAction(
+        'fade',
+        {input: {type: 'object'}},
+        createActionClass('fade', () => Promise.resolve()));
+      thing.addAvailableEvent('overheated', {title: 'Hot', type: 'number'});
+    });
+
+    it('should list the supported dialects', () => {
+      assert.deepEqual(['mozilla', 'w3c'], Thing.DESCRIPTION_DIALECTS);
+      assert.throws(() => thing.asThingDescription({dialect: 'td'}),
+                    /Unknown description dialect: td/);
+    });
+
+    it('should describe operations with forms', () => {
+      const description =
+        thing.asThingDescription({dialect: 'w3c', origins});
+
+      assert.deepEqual(['https://www.w3.org/2022/wot/td/v1.1',
+                        'https://iot.mozilla.org/schemas'],
+                       description['@context']);
+      assert.equal('nosec_sc', description.security);
+      assert.ok(!description.hasOwnProperty('links'));
+
+      assert.deepEqual([
+        {
+          href: 'http://host/properties/on',
+          op: ['readproperty', 'writeproperty'],
+          contentType: 'application/json',
+        },
+        {
+          href: 'coap://host/properties/on',
+          op: ['readproperty', 'writeproperty'],
+          contentType: 'application/json',
+        },
+        {
+          href: 'ws://host/',
+          op: ['writeproperty', 'observeproperty', 'unobserveproperty'],
+          contentType: 'application/json',
+        },
+      ], description.properties.on.forms);
+
+      assert.deepEqual(
+        ['http://host/actions/fade', 'coap://host/actions/fade', 'ws://host/'],
+        description.actions.fade.forms.map((f) => f.href));
+      assert.deepEqual(
+        ['http://host/properties', 'coap://host/properties', 'ws://host/'],
+        description.forms.map((f) => f.href));
+    });
+
+    it('should separate the data schema of events', () => {
+      const event = thing.asThingDescription({dialect: 'w3c', origins})
+        .events.overheated;
+
+      assert.equal('Hot', event.title);
+      assert.deepEqual({type: 'number'}, event.data);
+      assert.deepEqual(
+        [['subscribeevent'], ['subscribeevent', 'unsubscribeevent']],
+        event.forms.map((f) => f.op));
+    });
+
+    it('should only describe served protocols', () => {
+      const description = thing.asThingDescription({
+        dialect: 'w3c',
+        origins: {coap: 'coap://host'},
+      });
+
+      assert.deepEqual(['coap://host/properties/on'],
+                       description.properties.on.forms.map((f) => f.href));
+    });
+  });
+
+  describe('context', () => {
+    let thing;
+
+    beforeEach(() => {
+      thing = new Thing('urn:dev:switch', 'Switch', ['saref:Switch']);
+    });
+
+    it('should default to the Mozilla schemas', () => {
+      assert.equal('https://iot.mozilla.org/schemas', thing.getContext());
+      assert.equal('https://iot.mozilla.org/schemas',
+                   thing.asThingDescription()['@context']);
+    });
+
+    it('should leave out the W3C WoT TD context', () => {
+      thing.setContext([
+        'https://www.w3.org/2022/wot/td/v1.1',
+        'https://iot.mozilla.org/schemas',
+        {saref: 'https://w3id.org/saref#'},
+      ]);
+
+      assert.deepEqual([
+        'https://iot.mozilla.org/schemas',
+        {saref: 'https://w3id.org/saref#'},
+      ], thing.getContext());
+      assert.deepEqual([
+        'https://www.w3.org/2022/wot/td/v1.1',
+        'https://iot.mozilla.org/schemas',
+        {saref: 'https://w3id.org/saref#'},
+      ], thing.asThingDescription({dialect: 'w3c'})['@context']);
+    });
+
+    it('should refuse invalid contexts', () => {
+      assert.throws(() => thing.setContext(['https://w3id.org/saref', 1]),
+                    /Invalid context: 1/);
+      assert.throws(() => thing.setContext([null]), /Invalid context: null/);
+      assert.equal('https://iot.mozilla.org/schemas', thing.getContext());
+    });
+
+    it('should add vocabularies', () => {
+      const messages = subscribe(thing);
+
+      thing.addVocabulary('saref', 'https://w3id.org/saref#');
+      thing.addVocabulary('om', 'http://www.ontology-of-units-of-measure.org/');
+      assert.deepEqual([
+        'https://iot.mozilla.org/schemas',
+        {
+          saref: 'https://w3id.org/saref#',
+          om: 'http://www.ontology-of-units-of-measure.org/',
+        },
+      ], thing.getContext());
+      assert.equal(2, messages.length);
+      assert.equal('thingDescriptionChanged', messages[1].messageType);
+    });
+
+    it('should expand prefixed types', () => {
+      thing.addVocabulary('saref', 'https://w3id.org/saref#');
+
+      assert.equal('https://w3id.org/saref#Switch',
+                   thing.expandType('saref:Switch'));
+      assert.equal('OnOffSwitch', thing.expandType('OnOffSwitch'));
+      assert.equal('om:Unit', thing.expandType('om:Unit'));
+    });
+  });
+});
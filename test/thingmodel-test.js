@@ -0,0 +1,128 @@
+const assert = require('assert');
+
+const {ThingModel} = require('../index');
+
+const TD_CONTEXT = 'https://www.w3.org/2022/wot/td/v1.1';
+
+/**
+ * Create the model of a lamp.
+ *
+ * @param {Object} context (Optional) The context of the model
+ * @returns {Object} The Thing Model.
+ */
+function createModel(context) {
+  return {
+    '@context': context || [TD_CONTEXT, 'https://iot.mozilla.org/schemas'],
+    '@type': ['tm:ThingModel', 'Light'],
+    id: 'urn:dev:lamp:{{SERIAL}}',
+    title: 'Lamp {{SERIAL}}',
+    properties: {
+      level: {
+        'tm:ref': 'https://example.com/dimmer.tm.jsonld#/properties/level',
+        maximum: '{{MAX_LEVEL}}',
+      },
+      on: {type: 'boolean', default: false},
+    },
+    actions: {
+      toggle: {},
+    },
+  };
+}
+
+const DIMMER = {
+  '@context': [TD_CONTEXT],
+  '@type': 'tm:ThingModel',
+  title: 'Dimmer',
+  properties: {
+    level: {type: 'integer', minimum: 0, maximum: 100, default: 0},
+  },
+};
+
+describe('ThingModel', () => {
+  it('should refuse documents which are not models', () => {
+    assert.throws(() => new ThingModel({'@type': 'Light'}),
+                  /Thing Model without tm:ThingModel type/);
+  });
+
+  it('should list its placeholders', () => {
+    const model = new ThingModel(createModel());
+    assert.deepEqual(['SERIAL', 'MAX_LEVEL'], model.getPlaceholders());
+  });
+
+  it('should instantiate things', () => {
+    const model = new ThingModel(
+      createModel(), {'https://example.com/dimmer.tm.jsonld': DIMMER});
+    const thing = model.instantiate({SERIAL: '42', MAX_LEVEL: 80});
+
+    assert.equal('urn:dev:lamp:42', thing.getId());
+    assert.equal('Lamp 42', thing.getTitle());
+    assert.deepEqual(['Light'], thing.getType());
+    assert.equal('https://iot.mozilla.org/schemas', thing.getContext());
+    assert.equal(model, thing.getModel());
+
+    assert.deepEqual({level: 0, on: false}, thing.getProperties());
+    assert.deepEqual(
+      {type: 'integer', minimum: 0, maximum: 80, default: 0},
+      thing.findProperty('level').getMetadata());
+    assert.throws(() => thing.setProperty('level', 90),
+                  /Invalid property value/);
+    assert.ok(thing.asThingDescription().actions.hasOwnProperty('toggle'));
+
+    assert.deepEqual({
+      rel: 'type',
+      mediaType: 'application/tm+json',
+      href: '/model',
+    }, thing.asThingDescription().links.find((l) => l.rel === 'type'));
+  });
+
+  it('should fall back to the Mozilla schemas without vocabulary', () => {
+    const model = new ThingModel(
+      createModel([TD_CONTEXT]),
+      {'https://example.com/dimmer.tm.jsonld': DIMMER});
+    const thing = model.instantiate({SERIAL: '42', MAX_LEVEL: 80});
+
+    assert.equal('https://iot.mozilla.org/schemas', thing.getContext());
+    assert.deepEqual([TD_CONTEXT, 'https://iot.mozilla.org/schemas'],
+                     thing.asThingDescription({dialect: 'w3c'})['@context']);
+  });
+
+  it('should keep prefixed vocabularies of the model', () => {
+    const saref = {saref: 'https://w3id.org/saref#'};
+    const model = new ThingModel(
+      createModel([TD_CONTEXT, saref]),
+      {'https://example.com/dimmer.tm.jsonld': DIMMER});
+    const thing = model.instantiate({SERIAL: '42', MAX_LEVEL: 80});
+
+    assert.deepEqual(saref, thing.getContext());
+  });
+
+  it('should resolve references within the model', () => {
+    const document = createModel();
+    document.properties.level = {'tm:ref': '#/properties/on'};
+    const model = new ThingModel(document);
+
+    const td = model.describe({SERIAL: '1'});
+    assert.deepEqual({type: 'boolean', default: false}, td.properties.level);
+  });
+
+  it('should report invalid instances', () => {
+    const model = new ThingModel(createModel());
+    assert.throws(() => model.describe({SERIAL: '42', MAX_LEVEL: 80}),
+                  /Unresolved reference: https:\/\/example.com/);
+
+    const dimmed = new ThingModel(
+      createModel(), {'https://example.com/dimmer.tm.jsonld': DIMMER});
+    assert.throws(() => dimmed.describe({SERIAL: '42'}),
+                  /Missing value for placeholder: MAX_LEVEL/);
+
+    const document = createModel();
+    document.properties.level = {'tm:ref': '#/properties/level'};
+    assert.throws(() => new ThingModel(document).describe({SERIAL: '1'}),
+                  /Circular reference: #\/properties\/level/);
+
+    delete document.id;
+    delete document.properties.level;
+    assert.throws(() => new ThingModel(document).describe({SERIAL: '1'}),
+                  /Thing Model instance without id/);
+  });
+});
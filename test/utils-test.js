@@ -0,0 +1,49 @@
+const assert = require('assert');
+
+const utils = require('../lib/utils');
+
+describe('utils', () => {
+  describe('deepEqual()', () => {
+    it('should compare primitive values', () => {
+      assert.ok(utils.deepEqual(1, 1));
+      assert.ok(utils.deepEqual(null, null));
+      assert.ok(!utils.deepEqual(1, '1'));
+      assert.ok(!utils.deepEqual(null, {}));
+    });
+
+    it('should compare objects and arrays structurally', () => {
+      assert.ok(utils.deepEqual({a: [1, {b: 2}]}, {a: [1, {b: 2}]}));
+      assert.ok(utils.deepEqual({a: 1, b: 2}, {b: 2, a: 1}));
+      assert.ok(!utils.deepEqual({a: [1, 2]}, {a: [2, 1]}));
+      assert.ok(!utils.deepEqual({a: 1}, {a: 1, b: 2}));
+      assert.ok(!utils.deepEqual([], {}));
+      assert.ok(!utils.deepEqual([1, 2], [1, 2, 3]));
+    });
+  });
+
+  describe('clone()', () => {
+    it('should copy objects', () => {
+      const original = {a: [1, 2]};
+      const copy = utils.clone(original);
+
+      original.a.push(3);
+      assert.deepEqual({a: [1, 2]}, copy);
+    });
+  });
+
+  describe('expandType()', () => {
+    it('should expand prefixes of the context', () => {
+      const context = [
+        'https://iot.mozilla.org/schemas',
+        {saref: 'https://w3id.org/saref#'},
+      ];
+
+      assert.equal('https://w3id.org/saref#Switch',
+                   utils.expandType('saref:Switch', context));
+      assert.equal('Light', utils.expandType('Light', context));
+      assert.equal('om:Unit', utils.expandType('om:Unit', context));
+      assert.equal('saref:Switch',
+                   utils.expandType('saref:Switch', 'https://w3id.org/saref'));
+    });
+  });
+});
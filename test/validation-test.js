@@ -0,0 +1,217 @@
+const assert = require('assert');
+
+const {
+  Property,
+  SingleThing,
+  Thing,
+  Value,
+  WebThingServer,
+  validateThingDescription,
+} = require('../index');
+const validation = require('../lib/validation');
+const {captureWarnings} = require('./lib/helpers');
+
+const ORIGINS = {http: 'http://localhost', ws: 'ws://localhost'};
+
+/**
+ * Create a thing with a property.
+ *
+ * @param {String} title Title of the thing
+ * @returns {Object} The thing.
+ */
+function createThing(title) {
+  const thing = new Thing('urn:dev:lamp', title, ['Light'], 'A lamp');
+  thing.addProperty(
+    new Property(thing, 'on', new Value(true), {type: 'boolean'}));
+  return thing;
+}
+
+describe('validation', () => {
+  describe('validateThingDescription()', () => {
+    it('should accept the W3C dialect of a thing', () => {
+      const thing = createThing('Lamp');
+      const description = thing.asThingDescription({
+        dialect: 'w3c',
+        origins: ORIGINS,
+      });
+
+      assert.deepEqual([], validateThingDescription(description));
+    });
+
+    it('should report precise errors', () => {
+      const thing = createThing('Lamp');
+      const description = thing.asThingDescription({
+        dialect: 'w3c',
+        origins: ORIGINS,
+      });
+      delete description.title;
+      description.properties.on.forms = [{op: 'readproperty'}];
+
+      const problems = validateThingDescription(description);
+      assert.ok(problems.includes(
+        '. should have required property \'title\''));
+      assert.ok(problems.some((p) => p.startsWith('.properties[\'on\']')));
+      assert.equal(problems.length, new Set(problems).size);
+    });
+
+    it('should accept the legacy format only when told so', () => {
+      const description = createThing('Lamp')
+        .asThingDescription();
+      description.securityDefinitions = {nosec_sc: {scheme: 'nosec'}};
+      description.security = 'nosec_sc';
+
+      assert.notDeepEqual([], validateThingDescription(description));
+      assert.deepEqual(
+        [], validateThingDescription(description, {legacy: true}));
+    });
+  });
+
+  describe('checkCapabilities()', () => {
+    it('should accept consistent types', () => {
+      const thing = new Thing(
+        'urn:dev:lamp', 'Lamp', ['OnOffSwitch', 'Light'], 'A lamp');
+      thing.addProperty(new Property(thing, 'on', new Value(true), {
+        '@type': 'OnOffProperty',
+        type: 'boolean',
+      }));
+      thing.addProperty(new Property(thing, 'level', new Value(50), {
+        '@type': 'BrightnessProperty',
+        type: 'integer',
+        minimum: 0,
+        maximum: 100,
+      }));
+      thing.addAvailableAction('fade', {
+        '@type': 'FadeAction',
+        input: {
+          type: 'object',
+          properties: {level: {type: 'integer'}, duration: {type: 'integer'}},
+        },
+      }, class {});
+      thing.addAvailableEvent(
+        'overheated', {'@type': 'OverheatedEvent', type: 'number'});
+
+      assert.deepEqual([], validation.checkCapabilities(thing));
+    });
+
+    it('should report inconsistent types', () => {
+      const thing = new Thing('urn:dev:lamp', 'Lamp', ['OnOffSwitch', 'Lamp']);
+      thing.addProperty(new Property(thing, 'level', new Value(50), {
+        '@type': 'BrightnessProperty',
+        type: 'number',
+        maximum: 255,
+      }));
+      thing.addAvailableAction(
+        'fade', {'@type': 'FadeAction', input: {type: 'object'}}, class {});
+      thing.addAvailableEvent(
+        'overheated', {'@type': 'OverheatedEvent', type: 'string'});
+
+      const brightness = 'Property level: BrightnessProperty should';
+      assert.deepEqual([
+        `${brightness} be of type integer`,
+        `${brightness} have a minimum of 0 or more`,
+        `${brightness} have a maximum of 100 or less`,
+        'OnOffSwitch requires a property of type OnOffProperty',
+        'Unknown capability Lamp',
+        'Action fade: FadeAction input should have level',
+        'Action fade: FadeAction input should have duration',
+        'Event overheated: OverheatedEvent should be of type number',
+      ], validation.checkCapabilities(thing));
+    });
+
+    it('should only check the Mozilla vocabulary', () => {
+      const thing = new Thing('urn:dev:lamp', 'Lamp', ['saref:Light', 'Lamp']);
+      thing.setContext([
+        'https://iot.mozilla.org/schemas',
+        {saref: 'https://w3id.org/saref#'},
+      ]);
+      assert.deepEqual(['Unknown capability Lamp'],
+                       validation.checkCapabilities(thing));
+
+      thing.setContext('https://w3id.org/saref');
+      assert.deepEqual([], validation.checkCapabilities(thing));
+    });
+
+    it('should accept things without types', () => {
+      const thing = new Thing('urn:dev:lamp', 'Lamp');
+      thing.addProperty(
+        new Property(thing, 'on', new Value(true), {type: 'boolean'}));
+      assert.deepEqual([], validation.checkCapabilities(thing));
+    });
+
+    it('should warn about inconsistent types of served things', () => {
+      const thing = new Thing('urn:dev:lamp', 'Lamp', ['Lamp']);
+      const warnings = captureWarnings(() => {
+        validation.checkThings([thing], {capabilities: 'warn'}, ORIGINS);
+      });
+
+      assert.deepEqual(
+        ['Lamp: Inconsistent capabilities: Unknown capability Lamp'],
+        warnings);
+    });
+  });
+
+  describe('checkThings()', () => {
+    it('should not check anything by default', () => {
+      const thing = createThing(null);
+      const warnings = captureWarnings(() => {
+        validation.checkThings([thing], {}, ORIGINS);
+      });
+
+      assert.deepEqual([], warnings);
+    });
+
+    it('should warn about invalid descriptions', () => {
+      const thing = createThing(null);
+      const warnings = captureWarnings(() => {
+        validation.checkThings([thing], {validation: 'warn'}, ORIGINS);
+      });
+
+      assert.deepEqual(
+        ['urn:dev:lamp: Invalid description: .title should be string'],
+        warnings);
+    });
+
+    it('should throw when strict', () => {
+      assert.throws(() => {
+        validation.checkThings(
+          [createThing(null)],
+          {validation: 'strict'},
+          ORIGINS);
+      }, /urn:dev:lamp: Invalid description: /);
+
+      validation.checkThings(
+        [createThing('Lamp')],
+        {validation: 'strict'},
+        ORIGINS);
+    });
+
+    it('should refuse unknown modes', () => {
+      assert.throws(() => {
+        validation.checkThings([], {validation: 'loud'}, ORIGINS);
+      }, /Unknown description validation mode: loud/);
+      assert.throws(() => {
+        validation.checkThings([], {capabilities: 'loud'}, ORIGINS);
+      }, /Unknown capability check mode: loud/);
+    });
+
+    it('should check things without types when a server is created', () => {
+      const thing = new SingleThing(new Thing('urn:dev:lamp', 'Lamp'));
+      const warnings = captureWarnings(() => {
+        // eslint-disable-next-line no-new
+        new WebThingServer(
+          thing, 8887, null, null, [], '/', {capabilities: 'warn'});
+      });
+
+      assert.deepEqual([], warnings);
+    });
+
+    it('should check things when a server is created', () => {
+      const thing = new SingleThing(createThing(null));
+      assert.throws(() => {
+        // eslint-disable-next-line no-new
+        new WebThingServer(
+          thing, 8887, null, null, [], '/', {validation: 'strict'});
+      }, /Invalid description/);
+    });
+  });
+});
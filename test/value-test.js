@@ -0,0 +1,253 @@
+const assert = require('assert');
+
+const {Value} = require('../index');
+const {defer, wait} = require('./lib/helpers');
+
+/**
+ * Record the values a value notifies.
+ *
+ * @param {Object} value The value
+ * @returns {*[]} The notified values.
+ */
+function listen(value) {
+  const updates = [];
+  value.on('update', (v) => updates.push(v));
+  return updates;
+}
+
+describe('Value', () => {
+  describe('notification options', () => {
+    it('should notify every change by default', () => {
+      const value = new Value(0);
+      const updates = listen(value);
+
+      value.notifyOfExternalUpdate(1);
+      value.notifyOfExternalUpdate(1);
+      value.notifyOfExternalUpdate(2);
+
+      assert.deepEqual([1, 2], updates);
+    });
+
+    it('should drop changes within the minimum interval', () => {
+      const value = new Value(0, null, {minInterval: 40});
+      const updates = listen(value);
+
+      value.notifyOfExternalUpdate(1);
+      value.notifyOfExternalUpdate(2);
+      assert.deepEqual([1], updates);
+      assert.equal(2, value.get());
+
+      return wait(60).then(() => {
+        assert.deepEqual([1], updates);
+        value.notifyOfExternalUpdate(3);
+        assert.deepEqual([1, 3], updates);
+      });
+    });
+
+    it('should coalesce changes within the minimum interval', () => {
+      const value = new Value(0, null, {minInterval: 40, coalesce: true});
+      const updates = listen(value);
+
+      value.notifyOfExternalUpdate(1);
+      value.notifyOfExternalUpdate(2);
+      value.notifyOfExternalUpdate(3);
+      assert.deepEqual([1], updates);
+
+      return wait(60).then(() => {
+        assert.deepEqual([1, 3], updates);
+      });
+    });
+
+    it('should drop changes within the deadband', () => {
+      const value = new Value(10, null, {deadband: 1});
+      const updates = listen(value);
+
+      value.notifyOfExternalUpdate(10.5);
+      value.notifyOfExternalUpdate(10.9);
+      value.notifyOfExternalUpdate(11.2);
+      value.notifyOfExternalUpdate(10.5);
+
+      assert.deepEqual([11.2], updates);
+    });
+
+    it('should drop changes within the percentage deadband', () => {
+      const value = new Value(100, null, {deadbandPercent: 5});
+      const updates = listen(value);
+
+      value.notifyOfExternalUpdate(104);
+      value.notifyOfExternalUpdate(96);
+      value.notifyOfExternalUpdate(106);
+
+      assert.deepEqual([106], updates);
+    });
+
+    it('should emit every change regardless of the options', () => {
+      const value = new Value(0, null, {minInterval: 60000, deadband: 10});
+      const changes = [];
+      value.on('change', (v) => changes.push(v));
+
+      value.notifyOfExternalUpdate(1);
+      value.notifyOfExternalUpdate(2);
+      value.notifyOfExternalUpdate(2);
+
+      assert.deepEqual([1, 2], changes);
+    });
+  });
+
+  describe('forwarders', () => {
+    it('should take over a value set synchronously', () => {
+      const forwarded = [];
+      const value = new Value(0, (v) => forwarded.push(v));
+      const updates = listen(value);
+
+      const promise = value.set(1);
+      assert.equal(1, value.get());
+      assert.deepEqual([1], forwarded);
+      assert.deepEqual([1], updates);
+      return promise;
+    });
+
+    it('should take over a value once its forwarder resolves', () => {
+      const forwarded = defer();
+      const value = new Value(0, () => forwarded.promise);
+
+      const promise = value.set(1);
+      assert.equal(0, value.get());
+
+      forwarded.resolve();
+      return promise.then(() => {
+        assert.equal(1, value.get());
+      });
+    });
+
+    it('should keep the value if its forwarder fails', () => {
+      const value = new Value(0, () => Promise.reject(new Error('Offline')));
+      const updates = listen(value);
+
+      return value.set(1).then(() => {
+        assert.fail('Setting the value should have failed');
+      }, (e) => {
+        assert.equal('Offline', e.message);
+        assert.equal(0, value.get());
+        assert.deepEqual([], updates);
+      });
+    });
+
+    it('should reject if its forwarder throws', () => {
+      const value = new Value(0, () => {
+        throw new Error('Unsupported');
+      });
+
+      return value.set(1).then(() => {
+        assert.fail('Setting the value should have failed');
+      }, (e) => {
+        assert.equal('Unsupported', e.message);
+        assert.equal(0, value.get());
+      });
+    });
+
+    it('should drop writes completing after a later write', () => {
+      const forwarded = [];
+      const value = new Value(0, () => {
+        const deferred = defer();
+        forwarded.push(deferred);
+        return deferred.promise;
+      });
+      const updates = listen(value);
+
+      const slow = value.set(1);
+      const fast = value.set(2);
+
+      forwarded[1].resolve();
+      return fast.then(() => {
+        assert.equal(2, value.get());
+        forwarded[0].resolve();
+        return slow;
+      }).then(() => {
+        assert.equal(2, value.get());
+        assert.deepEqual([2], updates);
+      });
+    });
+
+    it('should wait for the latest write when an earlier one completes', () => {
+      const forwarded = [];
+      const value = new Value(0, () => {
+        const deferred = defer();
+        forwarded.push(deferred);
+        return deferred.promise;
+      });
+
+      const first = value.set(1);
+      const second = value.set(2);
+
+      forwarded[0].resolve();
+      return first.then(() => {
+        assert.equal(0, value.get());
+        forwarded[1].resolve();
+        return second;
+      }).then(() => {
+        assert.equal(2, value.get());
+      });
+    });
+  });
+
+  describe('unknown and stale values', () => {
+    it('should notify an unknown value as null', () => {
+      const value = new Value(21);
+      const updates = listen(value);
+
+      value.markUnknown();
+      assert.equal(null, value.get());
+      assert.deepEqual([null], updates);
+    });
+
+    it('should keep a stale value until a new one is reported', () => {
+      const value = new Value(21);
+      const stale = [];
+      value.on('stale', (s) => stale.push(s));
+
+      value.markStale();
+      value.markStale();
+      assert.ok(value.isStale());
+      assert.equal(21, value.get());
+
+      value.notifyOfExternalUpdate(21);
+      assert.ok(!value.isStale());
+      assert.deepEqual([true, false], stale);
+    });
+  });
+
+  describe('object values', () => {
+    it('should not notify structurally equal values', () => {
+      const value = new Value({r: 255, g: 0, b: 0});
+      const updates = listen(value);
+
+      value.notifyOfExternalUpdate({b: 0, g: 0, r: 255});
+      assert.deepEqual([], updates);
+
+      value.notifyOfExternalUpdate({r: 0, g: 0, b: 0});
+      assert.deepEqual([{r: 0, g: 0, b: 0}], updates);
+    });
+
+    it('should detect a value changed in place', () => {
+      const color = [255, 0, 0];
+      const value = new Value(color);
+      const updates = listen(value);
+
+      color[1] = 128;
+      assert.deepEqual([255, 0, 0], value.get());
+
+      value.notifyOfExternalUpdate(color);
+      assert.deepEqual([[255, 128, 0]], updates);
+    });
+
+    it('should notify a value changed in place when marked changed', () => {
+      const value = new Value({level: 1});
+      const updates = listen(value);
+
+      value.get().level = 2;
+      value.markChanged();
+      assert.deepEqual([{level: 2}], updates);
+    });
+  });
+});
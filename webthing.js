@@ -2,10 +2,16 @@
 
 module.exports = {
   Action: require('./lib/action'),
+  ComputedProperty: require('./lib/computedproperty'),
   Event: require('./lib/event'),
+  FileStateStore: require('./lib/statestore'),
   Property: require('./lib/property'),
   Thing: require('./lib/thing'),
+  ThingModel: require('./lib/thingmodel'),
   Value: require('./lib/value'),
   ...require('./lib/server'),
   CoapWebThingServer: require('./lib/coapserver'),
+  checkCapabilities: require('./lib/validation').checkCapabilities,
+  validateThingDescription:
+    require('./lib/validation').validateThingDescription,
 };